@@ -0,0 +1,334 @@
+/*
+    Benchmark of token bookkeeping on large synthetic job results.
+
+    Usage: node benchmark/tokens.js [--words=20000] [--runs=5] [--compare=path/to/other/perfecttense.js]
+
+    Builds results with spelling corrections, dependent corrections ("hzve be" -> "have be" -> "has been"),
+    alternatives for the same words and comments, then times setMetaData, creating an interactive editor,
+    accepting everything, looking up every offset and undoing everything.
+
+    Two shapes are measured: a document of 20-word sentences, and the same words as a single sentence
+    (ex. text without punctuation), where the cost of each sentence operation grows with the sentence length.
+
+    With --compare, the same benchmark runs against another build of the client (ex. an older release) for
+    a side by side comparison. Each build is measured in its own process, so that the garbage left by one
+    (older releases copy whole sentences on every accept) isn't collected during the other's steps.
+
+    Each shape is run several times and the median time of each step is reported, since single runs of the
+    shorter steps mostly measure garbage collection and JIT warm-up.
+*/
+
+const childProcess = require('child_process')
+const path = require('path')
+
+const args = process.argv.slice(2).reduce(function(args, arg) {
+    const match = /^--([^=]+)=(.*)$/.exec(arg)
+
+    if (match) {
+        args[match[1]] = match[2]
+    }
+
+    return args
+}, {})
+
+const TOTAL_WORDS = parseInt(args.words || "20000", 10)
+const WORDS_PER_SENTENCE = 20
+const NUM_RUNS = Math.max(1, parseInt(args.runs || "5", 10))
+
+const CLIENT_CONFIG = {
+    persist: false,
+    verbose: false
+}
+
+/**
+ * Create a client from a build of the library.
+ *
+ * Releases older than createClient only export their module-level client, which is initialized instead.
+ *
+ * @param {Object} ptModule             The module exported by the build
+ *
+ * @return {Object}                     Perfect Tense client
+ */
+function createClient(ptModule) {
+    if (typeof ptModule.createClient == "function") {
+        return ptModule.createClient(CLIENT_CONFIG)
+    }
+
+    ptModule.initialize(CLIENT_CONFIG)
+    return ptModule
+}
+
+const clients = [{
+    name: "current",
+    path: path.resolve(__dirname, "../perfecttense.js")
+}]
+
+if (args.compare) {
+    clients.push({
+        name: args.compare,
+        path: path.resolve(args.compare)
+    })
+}
+
+/**
+ * Build a synthetic job result.
+ *
+ * @param {number} numSentences         Number of sentences
+ * @param {number} wordsPerSentence     Number of words in each sentence
+ *
+ * @return {Object}                     Job result (as returned by the API, without metadata)
+ */
+function createResult(numSentences, wordsPerSentence) {
+    const rulesApplied = []
+
+    for (var s = 0; s < numSentences; s++) {
+        const tokens = []
+        const transformations = []
+
+        var nextId = 0
+
+        for (var w = 0; w < wordsPerSentence; w++) {
+            tokens.push({
+                id: nextId++,
+                value: "word" + w,
+                after: w == wordsPerSentence - 1 ? ". " : " "
+            })
+        }
+
+        function addedToken(token, value) {
+            return {
+                id: nextId++,
+                value: value,
+                after: token.after
+            }
+        }
+
+        for (w = 0; w + 1 < wordsPerSentence; w += 5) {
+            const token = tokens[w]
+            const next = tokens[w + 1]
+
+            // Spelling correction, and a correction that depends on it
+            const corrected = addedToken(token, "fixed" + w)
+
+            transformations.push({
+                tokensAffected: [token],
+                tokensAdded: [corrected],
+                hasReplacement: true,
+                isSuggestion: false
+            })
+
+            transformations.push({
+                tokensAffected: [corrected, next],
+                tokensAdded: [addedToken(token, "merged" + w)],
+                hasReplacement: true,
+                isSuggestion: false
+            })
+
+            // Alternative for the same word
+            transformations.push({
+                tokensAffected: [token],
+                tokensAdded: [addedToken(token, "other" + w)],
+                hasReplacement: true,
+                isSuggestion: true
+            })
+
+            // Comment on a later word
+            if (w + 3 < wordsPerSentence) {
+                transformations.push({
+                    tokensAffected: [tokens[w + 3]],
+                    tokensAdded: [],
+                    hasReplacement: false,
+                    isSuggestion: true
+                })
+            }
+        }
+
+        rulesApplied.push({
+            originalSentence: tokens,
+            transformations: transformations
+        })
+    }
+
+    return {
+        id: 1,
+        grammarScore: 50,
+        rulesApplied: rulesApplied
+    }
+}
+
+// Median timing of each step (and the text of the first run)
+function median(runs) {
+    const timings = {}
+
+    Object.keys(runs[0].timings).forEach(function(step) {
+        const times = runs.map(function(run) {
+            return run.timings[step]
+        }).sort(function(a, b) {
+            return a - b
+        })
+
+        timings[step] = times[Math.floor(times.length / 2)]
+    })
+
+    return {
+        timings: timings,
+        text: runs[0].text
+    }
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint()
+    const result = fn()
+
+    return {
+        ms: Number(process.hrtime.bigint() - start) / 1e6,
+        result: result
+    }
+}
+
+/**
+ * Run every step of the benchmark on a fresh copy of the result.
+ *
+ * @param {Object} client               Perfect Tense client
+ * @param {string} json                 The serialized job result
+ *
+ * @return {Object}                     Milliseconds per step, and the final text (to check that clients agree)
+ */
+function run(client, json) {
+    const data = JSON.parse(json)
+    const timings = {}
+
+    timings.setMetaData = time(function() {
+        client.setMetaData(data)
+    }).ms
+
+    var editor
+
+    timings.createEditor = time(function() {
+        editor = client.interactiveEditor({
+            data: data,
+            apiKey: "benchmark"
+        })
+    }).ms
+
+    timings.acceptAll = time(function() {
+        editor.applyAll()
+    }).ms
+
+    const acceptedText = editor.getCurrentText()
+
+    timings.offsets = time(function() {
+        data.rulesApplied.forEach(function(sentence) {
+            sentence.transformations.forEach(function(transform) {
+                editor.getTransformDocumentOffset(transform)
+            })
+        })
+    }).ms
+
+    timings.undoAll = time(function() {
+        while (editor.canUndoLastTransform()) {
+            editor.undoLastTransform()
+        }
+    }).ms
+
+    return {
+        timings: timings,
+        text: acceptedText
+    }
+}
+
+const shapes = [{
+    name: Math.ceil(TOTAL_WORDS / WORDS_PER_SENTENCE) + " sentences of " + WORDS_PER_SENTENCE + " words",
+    result: createResult(Math.ceil(TOTAL_WORDS / WORDS_PER_SENTENCE), WORDS_PER_SENTENCE)
+}, {
+    name: "1 sentence of " + Math.min(TOTAL_WORDS, 5000) + " words",
+    result: createResult(1, Math.min(TOTAL_WORDS, 5000))
+}]
+
+/**
+ * Run every shape with one build of the client (in this process).
+ *
+ * @param {string} clientPath           Path to the build
+ *
+ * @return {Array}                      Median timings and text of each shape
+ */
+function runShapes(clientPath) {
+    const client = createClient(require(clientPath))
+
+    return shapes.map(function(shape) {
+        const json = JSON.stringify(shape.result)
+        const runs = []
+
+        // Warm up (so that the measured runs don't also measure compilation)
+        run(client, json)
+
+        for (var runIndex = 0; runIndex < NUM_RUNS; runIndex++) {
+            runs.push(run(client, json))
+        }
+
+        return median(runs)
+    })
+}
+
+// Measure one build in a child process (see --client)
+function measure(entry) {
+    const output = childProcess.execFileSync(process.execPath, [__filename, "--words=" + TOTAL_WORDS, "--runs=" + NUM_RUNS, "--client=" + entry.path], {
+        encoding: "utf8",
+        maxBuffer: 64 * 1024 * 1024
+    })
+
+    return JSON.parse(output)
+}
+
+const COLUMN_WIDTH = Math.max.apply(null, [24].concat(clients.map(function(entry) {
+    return entry.name.length + 2
+})))
+
+function pad(text, width) {
+    text = String(text)
+    return text.length >= width ? text : text + " ".repeat(width - text.length)
+}
+
+// Measure every build and print the timings side by side
+function report() {
+    const results = clients.map(measure)
+
+    shapes.forEach(function(shape, shapeIndex) {
+        const numTransforms = shape.result.rulesApplied.reduce(function(total, sentence) {
+            return total + sentence.transformations.length
+        }, 0)
+
+        console.log("\n" + shape.name + " (" + numTransforms + " transformations)\n")
+
+        const runs = results.map(function(result) {
+            return result[shapeIndex]
+        })
+
+        if (runs.length > 1 && runs[0].text != runs[1].text) {
+            console.log("  Warning: the clients produced different texts")
+        }
+
+        console.log("  " + pad("step", 16) + clients.map(function(entry) {
+            return pad(entry.name, COLUMN_WIDTH)
+        }).join("") + (runs.length > 1 ? "speedup" : ""))
+
+        Object.keys(runs[0].timings).forEach(function(step) {
+            const times = runs.map(function(run) {
+                return run.timings[step]
+            })
+
+            console.log("  " + pad(step, 16) + times.map(function(ms) {
+                return pad(ms.toFixed(1) + " ms", COLUMN_WIDTH)
+            }).join("") + (times.length > 1 ? (times[1] / Math.max(times[0], 0.01)).toFixed(1) + "x" : ""))
+        })
+    })
+
+    console.log("")
+}
+
+// --client is only passed to the child processes: measure that build and report back to the parent
+if (args.client) {
+    process.stdout.write(JSON.stringify(runShapes(args.client)))
+} else {
+    report()
+}
@@ -0,0 +1,864 @@
+#!/usr/bin/env node
+
+/*
+    Perfect Tense command-line interface.
+
+    Usage: perfecttense check "docs/**\/*.md" [--reporter=stylish|json|sarif|checkstyle] [--max-issues=N] [--fix]
+           perfecttense review <file>
+
+    Settings are read from a .perfecttenserc (JSON) file in the working directory:
+
+        {
+            "apiKeyEnv": "PERFECTTENSE_API_KEY",     // Environment variable holding the API key
+            "appKeyEnv": "PERFECTTENSE_APP_KEY",     // Environment variable holding the App key
+            "ignoreRules": ["..."],                  // Rule ids that are never reported or fixed
+            "ignoreSuggestions": false,              // Skip suggestions (only report definite corrections)
+            "options": {},                           // Job options sent to the API (ex. protected text)
+            "protectText": true,                     // Detect protected text (URLs, emails, code, ...), see initialize
+            "persist": true,                         // Save review decisions (check never saves unless set to true)
+            "baseUrl": "https://api.perfecttense.com"
+        }
+*/
+
+const fs = require('fs')
+const path = require('path')
+const ptClient = require('../perfecttense')
+
+const DEFAULT_CONFIG_FILE = ".perfecttenserc"
+const DEFAULT_API_KEY_ENV = "PERFECTTENSE_API_KEY"
+const DEFAULT_APP_KEY_ENV = "PERFECTTENSE_APP_KEY"
+
+const EXIT_OK = 0
+const EXIT_VIOLATIONS = 1
+const EXIT_ERROR = 2
+
+const USAGE = [
+    "Usage: perfecttense <command> [options]",
+    "",
+    "Commands:",
+    "  check <pattern...>        Check files for corrections (ex. \"docs/**/*.md\")",
+    "  review <file>             Review the corrections of a file one by one, then write it back",
+    "",
+    "Options:",
+    "  --reporter=<name>         stylish (default), json, sarif or checkstyle",
+    "  --max-issues=<n>          Number of issues tolerated before exiting with an error (default 0)",
+    "  --fix                     Write every available correction back to the files",
+    "  --config=<file>           Settings file (default .perfecttenserc)",
+    "  --help                    Show this message"
+].join("\n")
+
+// Functions submitting files by extension (Markdown and HTML are submitted without their markup)
+const SUBMITTERS = {
+    ".md": "submitMarkdown",
+    ".markdown": "submitMarkdown",
+    ".html": "submitHtml",
+    ".htm": "submitHtml"
+}
+
+// Directories never searched when expanding patterns
+const SKIPPED_DIRECTORIES = ["node_modules", ".git"]
+
+// Keys of the review command
+const REVIEW_KEYS = "[a]ccept  [r]eject  [s]kip  [u]ndo  [1-9] alternative  [q]uit"
+const CTRL_C = "\u0003"
+
+const ANSI_RED = "\u001b[31m"
+const ANSI_GREEN = "\u001b[32m"
+const ANSI_BOLD = "\u001b[1m"
+const ANSI_DIM = "\u001b[2m"
+const ANSI_STRIKETHROUGH = "\u001b[9m"
+const ANSI_RESET = "\u001b[0m"
+
+const commands = {
+    check: check,
+    review: review
+}
+
+/*********************************************************************
+                            Commands
+**********************************************************************/
+
+/**
+ * Check files and report (or fix) the corrections found.
+ *
+ * @param {Object} args                 Parsed command-line arguments
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Object}                     Promise resolving to the exit code
+ */
+function check(args, config) {
+    const reporter = reporters[args.options.reporter || "stylish"]
+    const maxIssues = args.options["max-issues"] != undefined ? parseInt(args.options["max-issues"], 10) : 0
+
+    if (!reporter) {
+        return fail("Unknown reporter: " + args.options.reporter)
+    }
+
+    if (isNaN(maxIssues)) {
+        return fail("--max-issues must be a number")
+    }
+
+    const files = expandPatterns(args.positional)
+
+    if (!files.length) {
+        return fail("No files matching: " + args.positional.join(" "))
+    }
+
+    const apiKey = initializeClient(config, false)
+
+    if (!apiKey) {
+        return failMissingApiKey(config)
+    }
+
+    const texts = files.map(function(file) {
+        return fs.readFileSync(file, "utf8")
+    })
+
+    return submitFiles(files, texts, apiKey, config).then(function(results) {
+        if (!args.options.fix) {
+            return results
+        }
+
+        const fixed = results.map(function(result, index) {
+            const text = fixText(result, apiKey, config)
+
+            if (text == texts[index]) {
+                return null
+            }
+
+            fs.writeFileSync(files[index], text)
+            texts[index] = text
+
+            return index
+        }).filter(function(index) {
+            return index != null
+        })
+
+        // Check the fixed files again, so the remaining issues are located in their new text
+        return submitFiles(fixed.map(function(index) {
+            return files[index]
+        }), fixed.map(function(index) {
+            return texts[index]
+        }), apiKey, config).then(function(fixedResults) {
+            fixed.forEach(function(fileIndex, index) {
+                results[fileIndex] = fixedResults[index]
+            })
+
+            return results
+        })
+    }).then(function(results) {
+        const report = results.map(function(result, index) {
+            return {
+                uri: toUri(files[index]),
+                text: texts[index],
+                findings: getReportedFindings(result, config)
+            }
+        })
+
+        const issueCount = report.reduce(function(count, file) {
+            return count + file.findings.length
+        }, 0)
+
+        process.stdout.write(reporter(report))
+
+        return issueCount > maxIssues ? EXIT_VIOLATIONS : EXIT_OK
+    })
+}
+
+/**
+ * Walk through the corrections of a file in the terminal, then write the file back.
+ *
+ * Decisions are saved like any other editor action (unless "persist" is false in the settings).
+ *
+ * @param {Object} args                 Parsed command-line arguments
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Object}                     Promise resolving to the exit code
+ */
+function review(args, config) {
+    const file = args.positional[0]
+
+    if (!file || !fs.existsSync(file)) {
+        return fail(file ? "No such file: " + file : "Usage: perfecttense review <file>")
+    }
+
+    const apiKey = initializeClient(config, true)
+
+    if (!apiKey) {
+        return failMissingApiKey(config)
+    }
+
+    const originalText = fs.readFileSync(file, "utf8")
+    const colors = !!process.stdout.isTTY
+    const keys = readKeys(process.stdin)
+
+    var unsaved = 0
+
+    ptClient.on("updateFailed", function(event) {
+        if (!event.kept) {
+            unsaved += 1
+        }
+    })
+
+    return submitFile(file, originalText, apiKey, config).then(function(result) {
+        const editor = createEditor(result, apiKey, config, false)
+        const skipped = []
+
+        function getNext() {
+            return editor.getAllAvailableTransforms().find(function(transform) {
+                return skipped.indexOf(transform) == -1 && !(config.ignoreSuggestions && transform.isSuggestion)
+            })
+        }
+
+        function step() {
+            const transform = getNext()
+
+            if (!transform) {
+                return true
+            }
+
+            const alternatives = editor.getOverlappingTransforms(transform).filter(function(alternative) {
+                return alternative !== transform && editor.canMakeTransform(alternative)
+            })
+
+            process.stdout.write(formatTransform(editor, transform, alternatives, file, colors))
+
+            return keys.next().then(function(key) {
+                if (key == null || key == "q") {
+                    return true
+                } else if (key == CTRL_C) {
+                    return false
+                } else if (key == "a") {
+                    editor.acceptCorrection(transform)
+                } else if (key == "r") {
+                    editor.rejectCorrection(transform)
+                } else if (key == "s") {
+                    skipped.push(transform)
+                } else if (key == "u") {
+                    editor.undoLastTransform()
+                } else if (alternatives[parseInt(key, 10) - 1]) {
+                    editor.chooseAlternative(alternatives[parseInt(key, 10) - 1])
+                }
+
+                return step()
+            })
+        }
+
+        return Promise.resolve(step()).then(function(save) {
+            keys.close()
+
+            if (!save) {
+                process.stdout.write("\nAborted, " + file + " was not changed.\n")
+                return EXIT_ERROR
+            }
+
+            const text = editor.getCurrentSourceText()
+
+            if (text != originalText) {
+                fs.writeFileSync(file, text)
+            }
+
+            return ptClient.flush().then(function() {
+                process.stdout.write("\n" + (text != originalText ? "Saved " + file : file + " is unchanged") + ".\n")
+
+                if (unsaved) {
+                    process.stderr.write(unsaved + " decision" + (unsaved == 1 ? "" : "s") + " could not be saved to Perfect Tense.\n")
+                }
+
+                return EXIT_OK
+            })
+        })
+    }, function(error) {
+        keys.close()
+        throw error
+    })
+}
+
+/**
+ * Show a transformation in the context of its (current) sentence.
+ *
+ * @param {Object} editor               The interactive editor
+ * @param {Object} transform            The transformation to show
+ * @param {Array} alternatives          Other transformations affecting the same tokens
+ * @param {string} file                 The file being reviewed
+ * @param {boolean} colors              Highlight with ANSI colors (else with [-deleted-]{+inserted+} markers)
+ *
+ * @return {string}                     The text to print
+ */
+function formatTransform(editor, transform, alternatives, file, colors) {
+    const sentence = editor.getSentenceFromTransform(transform)
+    const sentenceText = editor.getCurrentSentenceText(sentence)
+    const offset = editor.getTransformOffset(transform)
+    const affected = editor.getAffectedText(transform)
+    const added = transform.hasReplacement ? editor.getAddedText(transform) : null
+    const position = getPosition(editor.getCurrentText(), editor.getTransformDocumentOffset(transform))
+
+    const changed = added == null ?
+        highlight(affected, ANSI_BOLD, "[", "]", colors) :
+        highlight(affected.trim(), ANSI_RED + ANSI_STRIKETHROUGH, "[-", "-]", colors) +
+        highlight(added.trim(), ANSI_GREEN, "{+", "+}", colors) +
+        affected.substring(affected.trimEnd().length)
+
+    const lines = [
+        "",
+        highlight(file + ":" + position.line + ":" + position.column, ANSI_DIM, "", "", colors) +
+        (transform.ruleId != undefined ? "  " + transform.ruleId : "") +
+        (transform.isSuggestion ? "  (suggestion)" : ""),
+        "  " + (sentenceText.substring(0, offset) + changed + sentenceText.substring(offset + affected.length)).trim()
+    ]
+
+    if (transform.message) {
+        lines.push("  " + transform.message)
+    }
+
+    if (alternatives.length) {
+        lines.push("  Alternatives: " + alternatives.slice(0, 9).map(function(alternative, index) {
+            return (index + 1) + ") \"" + (alternative.hasReplacement ? editor.getAddedText(alternative).trim() : "") + "\""
+        }).join("  "))
+    }
+
+    lines.push(REVIEW_KEYS + " ")
+
+    return lines.join("\n")
+}
+
+function highlight(text, style, open, close, colors) {
+    return colors ? style + text + ANSI_RESET : open + text + close
+}
+
+// 1-based line/column of a character offset
+function getPosition(text, offset) {
+    const lines = text.substring(0, offset).split("\n")
+
+    return {
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1
+    }
+}
+
+/**
+ * Read single key presses (raw mode in a terminal, else one character at a time, ignoring whitespace).
+ *
+ * @param {Object} stream               Readable stream (ex. process.stdin)
+ *
+ * @return {Object}                     { next() -> Promise resolving to the next key (null once the input ends), close() }
+ */
+function readKeys(stream) {
+    const buffered = []
+    const waiting = []
+
+    var ended = false
+
+    function onData(chunk) {
+        String(chunk).split("").forEach(function(key) {
+            if (!/\s/.test(key)) {
+                buffered.push(key.toLowerCase())
+            }
+        })
+        settle()
+    }
+
+    function onEnd() {
+        ended = true
+        settle()
+    }
+
+    function settle() {
+        while (waiting.length && (buffered.length || ended)) {
+            waiting.shift()(buffered.length ? buffered.shift() : null)
+        }
+    }
+
+    if (stream.isTTY) {
+        stream.setRawMode(true)
+    }
+
+    stream.on("data", onData)
+    stream.on("end", onEnd)
+
+    return {
+        next: function() {
+            return new Promise(function(resolve) {
+                waiting.push(resolve)
+                settle()
+            })
+        },
+
+        close: function() {
+            stream.removeListener("data", onData)
+            stream.removeListener("end", onEnd)
+
+            if (stream.isTTY) {
+                stream.setRawMode(false)
+            }
+
+            stream.pause()
+        }
+    }
+}
+
+/*********************************************************************
+                            Reporters
+**********************************************************************/
+
+const reporters = {
+    stylish: stylishReporter,
+    json: jsonReporter,
+    sarif: sarifReporter,
+    checkstyle: checkstyleReporter
+}
+
+/**
+ * Human-readable report: one block per file, one "line:column severity message rule" row per finding.
+ *
+ * @param {Array} report                Array of { uri, findings }
+ *
+ * @return {string}                     The report
+ */
+function stylishReporter(report) {
+    const lines = []
+    const counts = {
+        warning: 0,
+        info: 0
+    }
+
+    report.forEach(function(file) {
+        if (!file.findings.length) {
+            return
+        }
+
+        const rows = file.findings.map(function(finding) {
+            const severity = getSeverity(finding)
+            counts[severity] += 1
+
+            return [
+                (finding.range.start.line + 1) + ":" + (finding.range.start.character + 1),
+                severity,
+                describeFinding(finding),
+                finding.ruleId != undefined ? String(finding.ruleId) : ""
+            ]
+        })
+
+        const widths = [0, 1].map(function(column) {
+            return Math.max.apply(null, rows.map(function(row) {
+                return row[column].length
+            }))
+        })
+
+        lines.push(file.uri)
+
+        rows.forEach(function(row) {
+            lines.push("  " + row[0].padEnd(widths[0]) + "  " + row[1].padEnd(widths[1]) + "  " + row[2] + "  " + row[3])
+        })
+
+        lines.push("")
+    })
+
+    const total = counts.warning + counts.info
+
+    if (total) {
+        lines.push(total + " problem" + (total == 1 ? "" : "s") + " (" + counts.warning + " warning" + (counts.warning == 1 ? "" : "s") + ", " + counts.info + " info)")
+        lines.push("")
+    }
+
+    return lines.join("\n")
+}
+
+/**
+ * Machine-readable report (1-based lines and columns).
+ *
+ * @param {Array} report                Array of { uri, findings }
+ *
+ * @return {string}                     The report
+ */
+function jsonReporter(report) {
+    return JSON.stringify(report.map(function(file) {
+        return {
+            file: file.uri,
+            findings: file.findings.map(function(finding) {
+                return {
+                    line: finding.range.start.line + 1,
+                    column: finding.range.start.character + 1,
+                    endLine: finding.range.end.line + 1,
+                    endColumn: finding.range.end.character + 1,
+                    severity: getSeverity(finding),
+                    ruleId: finding.ruleId,
+                    message: finding.message,
+                    replacement: finding.replacement,
+                    text: file.text.substring(finding.start, finding.end)
+                }
+            })
+        }
+    }), null, 2) + "\n"
+}
+
+function sarifReporter(report) {
+    return JSON.stringify(ptClient.toSarif(report), null, 2) + "\n"
+}
+
+function checkstyleReporter(report) {
+    return ptClient.toCheckstyle(report)
+}
+
+function getSeverity(finding) {
+    return finding.isSuggestion ? "info" : "warning"
+}
+
+function describeFinding(finding) {
+    return finding.replacement != null ?
+        finding.message + " (replace with \"" + finding.replacement.trim() + "\")" :
+        finding.message
+}
+
+/*********************************************************************
+                            Helpers
+**********************************************************************/
+
+/**
+ * Initialize the client from the settings.
+ *
+ * @param {Object} config               Settings read from .perfecttenserc
+ * @param {boolean} persist             Whether decisions are saved when the settings don't say
+ *
+ * @return {string}                     The API key (undefined if the environment variable is not set)
+ */
+function initializeClient(config, persist) {
+    ptClient.initialize({
+        appKey: process.env[config.appKeyEnv || DEFAULT_APP_KEY_ENV],
+        verbose: false,
+        persist: config.persist != undefined ? config.persist : persist,
+        options: config.options,
+        protectText: config.protectText,
+        baseUrl: config.baseUrl
+    })
+
+    return process.env[config.apiKeyEnv || DEFAULT_API_KEY_ENV]
+}
+
+/**
+ * Submit the text of a file (Markdown and HTML files with submitMarkdown/submitHtml, so markup is never corrected).
+ *
+ * @param {string} file                 The file's path
+ * @param {string} text                 The file's text
+ * @param {string} apiKey               The user's API key
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Object}                     Promise resolving to the job result
+ */
+function submitFile(file, text, apiKey, config) {
+    const submitter = SUBMITTERS[path.extname(file).toLowerCase()] || "submitJob"
+
+    return ptClient[submitter](text, apiKey, config.options)
+}
+
+/**
+ * Submit the texts of the files, rejecting with the first error (the whole check fails if one file can't be checked).
+ *
+ * @param {Array} files                 The files' paths
+ * @param {Array} texts                 The texts to check (in the same order as the files)
+ * @param {string} apiKey               The user's API key
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Object}                     Promise resolving to the job results (in the same order as the texts)
+ */
+function submitFiles(files, texts, apiKey, config) {
+    return ptClient.submitBatch(texts, apiKey, {
+        submit: function(text, index) {
+            return submitFile(files[index], text, apiKey, config)
+        }
+    }).then(function(entries) {
+        const failed = entries.find(function(entry) {
+            return !entry.success
+        })
+
+        if (failed) {
+            throw failed.error
+        }
+
+        return entries.map(function(entry) {
+            return entry.result
+        })
+    })
+}
+
+/**
+ * Accept every available correction that is not ignored by the settings.
+ *
+ * Comments are left alone (they have nothing to write back) and are still reported.
+ *
+ * @param {Object} result               The job result
+ * @param {string} apiKey               The user's API key
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {string}                     The corrected text (or Markdown/HTML source)
+ */
+function fixText(result, apiKey, config) {
+    const editor = createEditor(result, apiKey, config, true)
+
+    editor.applyAll(config.ignoreSuggestions)
+
+    return editor.getCurrentSourceText()
+}
+
+/**
+ * Create an interactive editor hiding the rules ignored by the settings.
+ *
+ * @param {Object} result               The job result
+ * @param {string} apiKey               The user's API key
+ * @param {Object} config               Settings read from .perfecttenserc
+ * @param {boolean} ignoreNoReplacement Ignore transformations that are comments
+ *
+ * @return {Object}                     The interactive editor
+ */
+function createEditor(result, apiKey, config, ignoreNoReplacement) {
+    return ptClient.interactiveEditor({
+        data: result,
+        apiKey: apiKey,
+        ignoreNoReplacement: ignoreNoReplacement,
+        policy: {
+            rules: [{
+                match: {
+                    ruleId: getIgnoredRuleIds(result, config)
+                },
+                action: "hide"
+            }]
+        }
+    })
+}
+
+/**
+ * Returns true if the settings ignore the rule. Rule ids are compared as strings ("12" in the settings matches 12).
+ *
+ * @param {Object} config               Settings read from .perfecttenserc
+ * @param {string|number} ruleId        The rule id in question
+ *
+ * @return {boolean}                    True if the rule is ignored, else false
+ */
+function isIgnoredRule(config, ruleId) {
+    return (config.ignoreRules || []).map(String).indexOf(String(ruleId)) != -1
+}
+
+/**
+ * Get the rule ids of the job's transformations that the settings ignore, as they appear in the job.
+ *
+ * @param {Object} result               The job result
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Array}                      The ignored rule ids
+ */
+function getIgnoredRuleIds(result, config) {
+    const ruleIds = []
+
+    result.rulesApplied.forEach(function(sentence) {
+        sentence.transformations.forEach(function(transform) {
+            if (ruleIds.indexOf(transform.ruleId) == -1 && isIgnoredRule(config, transform.ruleId)) {
+                ruleIds.push(transform.ruleId)
+            }
+        })
+    })
+
+    return ruleIds
+}
+
+/**
+ * Get the findings of a job, without the rules and suggestions ignored by the settings.
+ *
+ * @param {Object} result               The job result
+ * @param {Object} config               Settings read from .perfecttenserc
+ *
+ * @return {Array}                      The findings (see getFindings)
+ */
+function getReportedFindings(result, config) {
+    return ptClient.getFindings(result).filter(function(finding) {
+        return !isIgnoredRule(config, finding.ruleId) && !(config.ignoreSuggestions && finding.isSuggestion)
+    })
+}
+
+/**
+ * Expand file patterns ("*" within a directory, "**" across directories, "?" and "{a,b}").
+ *
+ * @param {Array} patterns              Patterns (or plain file paths)
+ *
+ * @return {Array}                      Sorted list of matching files
+ */
+function expandPatterns(patterns) {
+    const files = []
+
+    patterns.forEach(function(pattern) {
+        pattern = pattern.split(path.sep).join("/")
+
+        if (!/[*?{]/.test(pattern)) {
+            if (fs.existsSync(pattern) && fs.statSync(pattern).isFile()) {
+                files.push(path.normalize(pattern))
+            }
+            return
+        }
+
+        const segments = pattern.split("/")
+        const firstGlob = segments.findIndex(function(segment) {
+            return /[*?{]/.test(segment)
+        })
+        const base = segments.slice(0, firstGlob).join("/") || "."
+        const matcher = globToRegExp(pattern)
+
+        walk(base).forEach(function(file) {
+            if (matcher.test(toUri(file))) {
+                files.push(path.normalize(file))
+            }
+        })
+    })
+
+    return files.filter(function(file, index) {
+        return files.indexOf(file) == index
+    }).sort()
+}
+
+/**
+ * List every file under a directory (recursively).
+ *
+ * @param {string} directory            The directory
+ *
+ * @return {Array}                      File paths (prefixed with the directory)
+ */
+function walk(directory) {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+        return []
+    }
+
+    return fs.readdirSync(directory).reduce(function(files, name) {
+        const file = directory == "." ? name : directory + "/" + name
+
+        if (SKIPPED_DIRECTORIES.indexOf(name) != -1) {
+            return files
+        }
+
+        return files.concat(fs.statSync(file).isDirectory() ? walk(file) : [file])
+    }, [])
+}
+
+/**
+ * Convert a glob pattern into a regular expression matching "/"-separated paths.
+ *
+ * @param {string} pattern              The glob pattern
+ *
+ * @return {Object}                     RegExp
+ */
+function globToRegExp(pattern) {
+    var source = ""
+    var inGroup = false
+
+    pattern = pattern.replace(/^\.\//, "")
+
+    for (var i = 0; i < pattern.length; i++) {
+        const char = pattern[i]
+
+        if (char == "*" && pattern[i + 1] == "*") {
+            // "**/" matches any number of directories (including none)
+            if (pattern[i + 2] == "/") {
+                source += "(?:.*/)?"
+                i += 2
+            } else {
+                source += ".*"
+                i += 1
+            }
+        } else if (char == "*") {
+            source += "[^/]*"
+        } else if (char == "?") {
+            source += "[^/]"
+        } else if (char == "{") {
+            source += "(?:"
+            inGroup = true
+        } else if (char == "}" && inGroup) {
+            source += ")"
+            inGroup = false
+        } else if (char == "," && inGroup) {
+            source += "|"
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, "\\$&")
+        }
+    }
+
+    return new RegExp("^" + source + "$")
+}
+
+// Relative, "/"-separated path used in reports
+function toUri(file) {
+    return path.relative(".", file).split(path.sep).join("/")
+}
+
+/**
+ * Parse "--name=value" / "--flag" options and positional arguments.
+ *
+ * @param {Array} argv                  Command-line arguments (without "node" and the script)
+ *
+ * @return {Object}                     { command, positional, options }
+ */
+function parseArgs(argv) {
+    const args = {
+        command: null,
+        positional: [],
+        options: {}
+    }
+
+    argv.forEach(function(arg) {
+        const option = /^--([^=]+)(?:=(.*))?$/.exec(arg)
+
+        if (option) {
+            args.options[option[1]] = option[2] != undefined ? option[2] : true
+        } else if (!args.command) {
+            args.command = arg
+        } else {
+            args.positional.push(arg)
+        }
+    })
+
+    return args
+}
+
+/**
+ * Read the settings file (no settings if it does not exist).
+ *
+ * @param {string} file                 Path to the settings file
+ *
+ * @return {Object}                     The settings
+ */
+function loadConfig(file) {
+    if (!fs.existsSync(file)) {
+        return {}
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (e) {
+        throw new Error("Invalid " + file + ": " + e.message)
+    }
+}
+
+function failMissingApiKey(config) {
+    return fail("Missing API key: set the " + (config.apiKeyEnv || DEFAULT_API_KEY_ENV) + " environment variable")
+}
+
+function fail(message) {
+    process.stderr.write(message + "\n")
+    return Promise.resolve(EXIT_ERROR)
+}
+
+function main(argv) {
+    const args = parseArgs(argv)
+    const command = commands[args.command]
+
+    if (args.options.help || !command) {
+        process.stdout.write(USAGE + "\n")
+        return Promise.resolve(args.options.help ? EXIT_OK : EXIT_ERROR)
+    }
+
+    return Promise.resolve().then(function() {
+        return command(args, loadConfig(args.options.config || DEFAULT_CONFIG_FILE))
+    }).catch(function(error) {
+        return fail("perfecttense: " + error.message)
+    })
+}
+
+main(process.argv.slice(2)).then(function(exitCode) {
+    process.exitCode = exitCode
+})
@@ -5,1365 +5,6748 @@
  * grammatical mistake found in the document (also interchangable with "job")
  *
  */
-/*********************************************************************
-                        Init Axios
-**********************************************************************/
-const axios = require('axios').create()
-const pt = this
+const axios = require('axios')
+const PACKAGE_VERSION = require('./package.json').version
 
-// don't actually set axios baseUrl to avoid conflicting with other usage
+// default API location (can be overridden with config.baseUrl, e.g. for staging or on-prem endpoints)
 const PT_BASE_URL = 'https://api.perfecttense.com'
 
+// Version of the session state exported by editor.exportState (version 1 states, without undo steps, can still be restored)
+const EDITOR_STATE_VERSION = 2
+
 /*********************************************************************
-                    Perfect Tense Specific
+                            Transports
 **********************************************************************/
-this.TRANSFORM_STATUS_ACCEPTED = "accept"
-this.TRANSFORM_STATUS_REJECTED = "reject"
-this.TRANSFORM_STATUS_CLEAN = "clean"
-this.ALL_RESPONSE_TYPES = ["rulesApplied", "grammarScore", "corrected"]
 
-module.exports = this
+/*
+    A transport is a function that performs a single HTTP request and returns a Promise.
+
+    It receives an axios-style request: { method, url, data, headers }
 
-this.appKey = ""
-this.verbose = true
-this.persist = true
+    It must resolve with { status, data, headers } for 2xx responses, and reject otherwise.
+    Rejections for non-2xx responses carry the response as "error.response" (as axios does),
+    while network failures reject without a response.
+*/
 
 /**
- * Initialize PT client
- *     
- * @param {string} config.appKey                           App key assigned to this registered application [insert link to register app]
- * @param {boolean} config.verbose=true                    Set verbose console output for debugging purposes
- * @param {boolean} config.persist=true                    Optionally persist corrections (Help Perfect Tense get better!)
- * @param {Object} config.options={}                       Optional default options such as protected text (see API documentation)
- * @param {Object} config.responseType=["rulesApplied"]    Optional array of response types (see API documentation) 
+ * Create a transport backed by axios.
+ *
+ * @param {Object} [instance]       Optional axios instance (a new instance is created by default)
+ *
+ * @return {function}               Transport function
  */
-this.initialize = function(config) {
-    this.appKey = config.appKey || "",
-        this.verbose = config.verbose,
-        this.persist = config.persist,
-        this.options = config.options,
-        this.responseType = config.responseType || this.ALL_RESPONSE_TYPES
+function axiosTransport(instance) {
+
+    // don't actually set axios baseUrl to avoid conflicting with other usage
+    instance = instance || axios.create()
+
+    return function(request) {
+        return instance(request)
+    }
 }
 
 /**
- * Test the validity of the parameter API key
- *     
- * @param {string} apiKey           The API key to test
+ * Create a transport backed by the Fetch API.
  *
- * @return {boolean}                True if the API key is valid, else false
+ * @param {function} [fetchImpl]    Optional fetch implementation (defaults to the global fetch)
+ *
+ * @return {function}               Transport function
  */
-this.apiKeyIsValid = function(apiKey) {
+function fetchTransport(fetchImpl) {
 
-    const payload = {
-        method: 'GET',
-        url: PT_BASE_URL + "/testAuth",
-        headers: {
-            'Authorization': apiKey,
-            'Content-Type': 'application/json'
-        }
-    }
+    return function(request) {
+        const doFetch = fetchImpl || global.fetch
 
-    function apiSuccess(response) {
-        return true
-    }
+        const init = {
+            method: request.method,
+            headers: request.headers
+        }
 
-    function apiFailure(response) {
-        return false
-    }
+        if (request.data !== undefined) {
+            init.body = JSON.stringify(request.data)
+        }
 
-    return axios(payload).then(apiSuccess, apiFailure)
-}
+        return doFetch(request.url, init).then(function(res) {
+            return res.text().then(function(text) {
+                const headers = {}
 
-/*********************************************************************
-                Interaction With Perfect Tense API
-**********************************************************************/
+                res.headers.forEach(function(value, name) {
+                    headers[name.toLowerCase()] = value
+                })
 
+                return settleResponse(request, {
+                    status: res.status,
+                    data: parseBody(text),
+                    headers: headers
+                })
+            })
+        })
+    }
+}
 
-/*
- * Submit text to Perfect Tense, receiving specified responseTypes in result.
+/**
+ * Create an in-memory transport (useful for tests or local stand-ins).
  *
- * @param {string} text             Text to be submitted
- * @param {string} apiKey           The user's API key
- * @param {Object} options          Options such as protected text. Defaults to options set during initialization
- * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+ * The handler receives each request and returns a response ({ status, data, headers }), or a Promise for one.
+ * A missing status defaults to 200.
  *
- * @return {Object}                 Promise containing the job result
+ * @param {function} handler        Function mapping a request to a response
+ *
+ * @return {function}               Transport function
  */
-this.submitJob = function(text, apiKey, options, responseType) {
-    const data = {
-        text: text,
-        responseType: responseType || pt.responseType,
-        options: options || pt.options // can overwrite in individual requests, or use default
+function memoryTransport(handler) {
+
+    return function(request) {
+        return Promise.resolve(request).then(handler).then(function(response) {
+            return settleResponse(request, {
+                status: response.status || 200,
+                data: response.data,
+                headers: response.headers || {}
+            })
+        })
     }
+}
 
-    if (pt.verbose) {
-        console.log("Submitting job:")
-        console.log(data)
+/**
+ * Resolve 2xx responses, and reject all others with the response attached (mirrors axios).
+ *
+ * @param {Object} request         The request that was sent
+ * @param {Object} response        The response received
+ *
+ * @return {Object}                Promise containing the response
+ */
+function settleResponse(request, response) {
+    if (response.status >= 200 && response.status < 300) {
+        return response
     }
 
-    return new Promise(function(resolve, reject) {
-        submitToPT(data, apiKey, "/correct")
-            .then(function(res) {
-                if (pt.verbose) {
-                    console.log("Received response from PT:")
-                    console.log(res.data)
-                }
+    const error = new Error("Request failed with status code " + response.status)
+    error.request = request
+    error.response = response
 
-                if (res.status == 201) {
-                    pt.setMetaData(res.data)
-                    resolve(res.data)
-                } else reject(res)
-
-            }).catch(function(error) {
-                if (pt.verbose) {
-                    console.log("Error contacting pt:")
-                    console.log(error.response.data)
-                }
-                reject(error.response)
-            })
-    })
+    return Promise.reject(error)
 }
 
 /**
- * Generate an App key for this integration (alternatively, use our UI here: https://app.perfecttense.com/api).
+ * Parse a response body as JSON, falling back to the raw text.
  *
- * @param {String} $apiKey              The API key to register this app under (likely your own)
- * @param {String} $name                The name of this app
- * @param {String} $description         The description of this app (minimum 50 characters)
- * @param {String} $contactEmail        Contact email address for this app (defaults to the email associated with the API key)
- * @param {String} $siteUrl             Optional URL that can be used to sign up for/use this app.
+ * @param {string} text            The response body
  *
- * @return {String}                     A unique app key
+ * @return {Object}                The parsed body
  */
-this.generateAppKey = function(apiKey, name, description, contactEmail, siteUrl) {
-
-    const data = {
-        name: name,
-        description: description,
-        contactEmail: contactEmail,
-        siteUrl: siteUrl
+function parseBody(text) {
+    try {
+        return JSON.parse(text)
+    } catch (e) {
+        return text
     }
+}
 
-    return new Promise(function(resolve, reject) {
-        submitToPT(data, apiKey, "/generateAppKey")
-            .then(function(res) {
-
-                if (!res.data.error) {
-                    resolve(res.data)
-                } else reject(res)
-
-            }).catch(function(error) {
-                reject(error.response)
-            })
-    })
+const transports = {
+    axios: axiosTransport,
+    fetch: fetchTransport,
+    memory: memoryTransport
 }
 
 /*********************************************************************
-                Interaction With Perfect Tense Result
+                            Errors
 **********************************************************************/
 
 /**
- * Get the grammar score result of this job.
- *    
- * If the grammar score was requested in the original request, a value from 0.0 to 100.0
- * will be returned. Otherwise, null will be returned.
- *
+ * Base class for all errors returned by the Perfect Tense API (or while trying to reach it).
  *
- * @param {Object} data     Result returned from submitJob
- *
- * @return {number}         The grammar score result to this job
+ * @param {string} message                  The server's message (or a description of the failure)
+ * @param {Object} details.endpoint         The API endpoint that was called (ex. "/correct")
+ * @param {Object} [details.response]       The response received, if any ({ status, data, headers })
+ * @param {Object} [details.cause]          The underlying error, if any
  */
-this.getGrammarScore = function(data) {
-    return data.grammarScore
+class PTError extends Error {
+    constructor(message, details) {
+        super(message)
+
+        const response = details.response
+
+        this.name = this.constructor.name
+        this.endpoint = details.endpoint
+        this.status = response ? response.status : null
+        this.requestId = response ? getRequestId(response) : null
+        this.data = response ? response.data : null // raw response body (previously returned to callers directly)
+        this.response = response || null
+        this.cause = details.cause || null
+    }
 }
 
+// The API key is invalid or expired (401)
+class PTAuthError extends PTError {}
+
+// The user is over their daily request limit (403), or is being rate limited (429)
+class PTQuotaError extends PTError {}
+
+// The request was rejected as invalid (other 4xx responses, or an error in the response body)
+class PTValidationError extends PTError {}
+
+// Perfect Tense could not be reached (no response was received)
+class PTNetworkError extends PTError {}
+
+// Perfect Tense failed to handle the request (5xx, or an unexpected response)
+class PTServerError extends PTError {}
+
 /**
- * Get API usage statistics from PT
+ * Create the appropriate error for a response from Perfect Tense.
  *
- * @param {String} apiKey     The api key of the user you are requesting usage statistics for
+ * @param {Object} response         The response received ({ status, data, headers })
+ * @param {string} endpoint         The API endpoint that was called
  *
- * @return {Object}           The user's usage statistics
+ * @return {Object}                 A PTError subclass instance
  */
-this.getUsage = function(apiKey) {
-
-    const payload = {
-        method: 'GET',
-        url: PT_BASE_URL + "/usage",
-        headers: {
-            'Authorization': apiKey
-        }
+function createResponseError(response, endpoint) {
+    const status = response.status
+    const details = {
+        response: response,
+        endpoint: endpoint
     }
 
-    return axios(payload)
-}
+    const message = getServerMessage(response.data) || ("Request to " + endpoint + " failed with status " + status)
 
+    if (status == 401) {
+        return new PTAuthError(message, details)
+    } else if (status == 403 || status == 429) {
+        return new PTQuotaError(message, details)
+    } else if (status >= 500 || status < 400) {
+        return new PTServerError(message, details)
+    } else {
+        return new PTValidationError(message, details)
+    }
+}
 
 /**
- * Returns an interactive editor used to work through accepting/rejecting all
- * corrections returned by Perfect Tense.
- *
- * This editor will handle tracking state information such as which transformations are avilable
- * at any given time, and is the recommended way to interact with a result.
- *
+ * Convert an error rejected by a transport into the appropriate PTError.
  *
- * @param {Object} config.data                          Result returned from submitJob
- * @param {Object} [config.apiKey]                      Optional API Key associated with this job (to track transformation accept/reject/clean statuses)
- * @param {Object} [config.ignoreNoReplacement=false]   Optionally ignore transformations that are comments (i.e. "This sentence is a fragment")            
+ * @param {Object} error            The error rejected by the transport
+ * @param {string} endpoint         The API endpoint that was called
  *
- * @return {Object}                                     Interactive Editor
+ * @return {Object}                 A PTError subclass instance
  */
-this.interactiveEditor = function(config) {
-
-    const data = config.data
-    const apiKey = config.apiKey
-    const ignoreNoReplacement = config.ignoreNoReplacement
+function toPTError(error, endpoint) {
+    if (error instanceof PTError) {
+        return error
+    }
 
-    // All functions assume that this metadata has been set when interacting with corrections
-    if (!data.hasMeta) {
-        pt.setMetaData(data)
+    if (error && error.response) {
+        return createResponseError(error.response, endpoint)
     }
 
-    // Transformations from each sentence flattened into one array for easier indexing
-    const flattenedTransforms = [].concat.apply([],
-        data.rulesApplied.map(function(sentence) {
-            return sentence.transformations
-        })
-    )
+    return new PTNetworkError("Unable to reach Perfect Tense (" + endpoint + "): " + (error && error.message), {
+        endpoint: endpoint,
+        cause: error
+    })
+}
 
-    // Stack tracking accepted/rejected transformations
-    const transformStack = flattenedTransforms.filter(transform => !pt.isClean(transform))
-    var transStackSize = transformStack.length
+/**
+ * Extract the server's message from a response body.
+ *
+ * @param {Object} body             The response body
+ *
+ * @return {string}                 The message, or null if there is none
+ */
+function getServerMessage(body) {
+    if (!body) {
+        return null
+    } else if (typeof body == "string") {
+        return body
+    }
 
-    // Cache of available transformations in current state
-    var allAvailableTransforms = null
+    const message = body.error || body.message
 
-    updateAvailableCache()
+    return typeof message == "string" ? message : null
+}
 
-    // Updates cache of available transformations (optionally skipping suggestions without replacements)
-    function updateAvailableCache() {
-        allAvailableTransforms = flattenedTransforms.filter(function(transform) {
-            return transform.isAvailable && (!ignoreNoReplacement || transform.hasReplacement)
-        })
-    }
+/**
+ * Get the request id assigned by the server (from the response headers or body).
+ *
+ * @param {Object} response         The response received
+ *
+ * @return {string}                 The request id, or null if there is none
+ */
+function getRequestId(response) {
+    const headers = response.headers || {}
+    const body = response.data || {}
 
-    const editor = {
+    return headers['x-request-id'] || body.requestId || null
+}
 
-        // Get the assigned grammar score
-        getGrammarScore: function() {
-            return data.grammarScore
-        },
+/*********************************************************************
+                            Retries
+**********************************************************************/
 
-        // Accessor for the data
-        getData: function() {
-            return data
-        },
+// Default policy for retrying transient failures (network errors, 429 and 5xx responses)
+const DEFAULT_RETRY_POLICY = {
+    retries: 2,
+    minDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true
+}
 
-        // Get usage statistics for this user (number of requests remaining, etc.)
-        getUsage: function() {
-            return pt.getUsage(apiKey)
-        },
+/**
+ * Build a retry policy from user configuration, filling in defaults.
+ *
+ * Passing false disables retries entirely.
+ *
+ * @param {Object|boolean} [retry]      Partial retry policy (see DEFAULT_RETRY_POLICY), or false
+ *
+ * @return {Object}                     The complete retry policy
+ */
+function createRetryPolicy(retry) {
+    if (retry === false) {
+        return Object.assign({}, DEFAULT_RETRY_POLICY, { retries: 0 })
+    }
 
-        // Get the transform at the specified index (relative to the flattened list of all transformations)
-        getTransform: function(flattenedIndex) {
-            return flattenedTransforms[flattenedIndex]
-        },
+    return Object.assign({}, DEFAULT_RETRY_POLICY, retry)
+}
 
-        // Get the sentence at the specified index
-        getSentence: function(sentenceIndex) {
-            return pt.getSentence(data, sentenceIndex)
-        },
+// Policy for requests that are retried by their caller
+const NO_RETRY_POLICY = createRetryPolicy(false)
 
-        // Get the sentence containing the specified transform
-        getSentenceFromTransform: function(transform) {
-            return pt.getSentence(data, transform.sentenceIndex)
-        },
+// Endpoints that must not be sent twice: a duplicate "/correct" is charged against the user's quota again
+// (they are still retried when the server turned them away, see isRetryable)
+const NON_IDEMPOTENT_ENDPOINTS = ["/correct", "/generateAppKey"]
 
-        // Get all transforms that are currently valid (their tokensAffected are available in the sentence)
-        getAllAvailableTransforms: function() {
-            return allAvailableTransforms
-        },
+// Error codes of connection failures that happen before the request is sent
+const CONNECTION_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"]
 
-        // Returns true if there exists an available, clean transformation
-        hasNextTransform: function(ignoreSuggestions) {
-        	if (ignoreSuggestions) {
-        		return getNextNonSuggestion() != null
-        	} else {
-        		return allAvailableTransforms.length > 0
-        	}  
-        },
+/**
+ * Returns true if the failed request is worth retrying.
+ *
+ * Network errors (no response), 429 (rate limited) and 5xx responses are transient. Everything else,
+ * including 401 (bad API key) and 403 (over daily limit), fails fast.
+ *
+ * Non-idempotent requests are only retried when the server did not process them: the connection failed
+ * before the request was sent, or the server turned it away with 429 (or 503 with a "Retry-After" header).
+ * Any other failure (ex. a timeout or a 500) may have happened after the server processed it.
+ *
+ * @param {Object} error            The error the request was rejected with
+ * @param {boolean} [idempotent]    False if the request must not be sent twice
+ *
+ * @return {boolean}                True if the request should be retried, else false
+ */
+function isRetryable(error, idempotent) {
+    if (!error || !error.response) {
+        return idempotent === false ? isConnectionError(error) : true
+    }
 
-        // Returns the next available transformation
-        getNextTransform: function(ignoreSuggestions) {
-        	if (ignoreSuggestions) {
-        		return getNextNonSuggestion()
-        	} else {
-        		return allAvailableTransforms[0]
-        	}  
-        },
+    const status = error.response.status
 
-        // Returns a list of all transforms affecting the exact same tokens in the current sentence
-        getOverlappingTransforms: function(transform) {
-            const sentence = pt.getSentence(data, transform.sentenceIndex)
-            const overlappingTransforms = pt.getOverlappingGroup(sentence, transform)
+    if (idempotent === false) {
+        return status == 429 || (status == 503 && parseRetryAfter(error.response.headers) != null)
+    }
 
-            return overlappingTransforms.filter(function(t) {
-                return pt.affectsSameTokens(t, transform)
-            })
-        },
+    return status == 429 || status >= 500
+}
 
-        // Returns the current text of the job (considering whether transforms have been accepted or rejected)
-        getCurrentText: function() {
-            return pt.getCurrentText(data)
-        },
+/**
+ * Returns true if the request failed to connect (so it never reached the server).
+ *
+ * @param {Object} error            The error the request was rejected with
+ *
+ * @return {boolean}                True if no connection could be made, else false
+ */
+function isConnectionError(error) {
+    if (!error || error.response) {
+        return false
+    }
 
-        // Returns the current text of the sentence (considering whether transforms have been accepted or rejected)
-        getCurrentSentenceText: function(sentence) {
-            return pt.getCurrentSentenceText(sentence)
-        },
+    // fetch wraps the underlying network error in "cause"
+    const code = error.code || (error.cause && error.cause.code)
 
-        // Accept the transformation and substitute the tokensAdded for the tokensAffected (optionally persisting to database)
-        acceptCorrection: function(transform) {
+    return CONNECTION_ERROR_CODES.indexOf(code) != -1
+}
 
-            if (pt.acceptCorrection(data, transform, apiKey)) {
-                updateAvailableCache()
-                transformStack.push(transform)
-                transStackSize += 1
-                return true
-            }
+/**
+ * Get the delay (in milliseconds) before the next attempt.
+ *
+ * A "Retry-After" header (in seconds or as an HTTP date) takes precedence. Otherwise the delay grows
+ * exponentially with the attempt number, with optional random jitter. Either way, it is capped at maxDelay.
+ *
+ * @param {Object} error            The error the request was rejected with
+ * @param {number} attempt          The number of the failed attempt (0-based)
+ * @param {Object} policy           The retry policy
+ *
+ * @return {number}                 The delay in milliseconds
+ */
+function getRetryDelay(error, attempt, policy) {
+    const retryAfter = parseRetryAfter(error.response && error.response.headers)
 
-            return false
-        },
+    if (retryAfter != null) {
+        return Math.min(policy.maxDelay, retryAfter)
+    }
 
-        // Reject the transformation (optionally persisting to database)
-        rejectCorrection: function(transform) {
-            if (pt.rejectCorrection(data, transform, apiKey)) {
-                updateAvailableCache()
-                transformStack.push(transform)
-                transStackSize += 1
-                return true
-            }
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt))
 
-            return false
-        },
+    // "Equal jitter": keep half of the delay, randomize the other half
+    return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay
+}
 
-        // Undo the last transformation action (accept/reject -> clean) (optionally persisting to database)
-        undoLastTransform: function() {
+/**
+ * Parse the "Retry-After" response header.
+ *
+ * @param {Object} [headers]        Response headers
+ *
+ * @return {number}                 The delay in milliseconds, or null if not present/invalid
+ */
+function parseRetryAfter(headers) {
+    const value = headers && (headers['retry-after'] || headers['Retry-After'])
 
-            if (transStackSize > 0) {
-                const lastTransform = transformStack[transStackSize - 1]
+    if (value == null || value === "") {
+        return null
+    }
 
-                if (pt.resetCorrection(data, lastTransform, apiKey)) {
-                    updateAvailableCache()
-                    transformStack.pop()
-                    transStackSize -= 1
-                    return true
-                }
-            }
+    const seconds = Number(value)
 
-            return false
-        },
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000)
+    }
 
-        canMakeTransform: function(transform) {
-            const sentence = pt.getSentence(data, transform.sentenceIndex)
-            return pt.canMakeTransform(sentence, transform)
-        },
+    const date = Date.parse(value)
 
-        // Returns true if the last action can be undone, else false
-        canUndoLastTransform: function() {
+    return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
 
-            if (transStackSize > 0) {
-                const lastTransform = transformStack[transStackSize - 1]
-                const sentence = data.rulesApplied[lastTransform.sentenceIndex]
+/**
+ * Run a request, retrying transient failures according to the policy.
+ *
+ * @param {function} send           Function that sends the request and returns a Promise
+ * @param {Object} policy           The retry policy
+ * @param {boolean} [idempotent]    False if the request must not be sent twice (see isRetryable)
+ *
+ * @return {Object}                 Promise containing the response of the first successful attempt
+ */
+function withRetry(send, policy, idempotent) {
 
-                return pt.canUndoTransform(sentence, lastTransform)
+    function attempt(attemptNumber) {
+        return send().catch(function(error) {
+            if (attemptNumber >= policy.retries || !isRetryable(error, idempotent)) {
+                return Promise.reject(error)
             }
 
+            return wait(getRetryDelay(error, attemptNumber, policy)).then(function() {
+                return attempt(attemptNumber + 1)
+            })
+        })
+    }
 
-            return false
-        },
+    return attempt(0)
+}
 
-        // Returns the last transformation that was interacted with
-        getLastTransform: function() {
-            return transformStack[transStackSize - 1]
-        },
+/**
+ * Returns a Promise that resolves after the specified delay.
+ *
+ * @param {number} ms               The delay in milliseconds
+ *
+ * @return {Object}                 Promise
+ */
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms)
+    })
+}
 
-        // Get the character offset of the transformation (relative to the current state of the sentence)
-        getTransformOffset: function(transform) {
-            return pt.getTransformOffset(data, transform)
-        },
+/*********************************************************************
+                        Document Chunking
+**********************************************************************/
 
-        // Get the character offset of the sentence (relative to the current state of the job)
-        getSentenceOffset: function(sentence) {
-            return pt.getSentenceOffset(data, sentence)
-        },
+// Defaults used by submitDocument/submitBatch
+const DEFAULT_MAX_CHUNK_SIZE = 5000
+const DEFAULT_CONCURRENCY = 3
 
-        // Get the tokensAffected as a string
-        getAffectedText: function(transform) {
-            return pt.getAffectedText(transform)
-        },
+// Boundaries used to split text (each boundary stays attached to the text before it)
+const PARAGRAPH_BOUNDARY = /\n[ \t]*\n\s*/g
+const SENTENCE_BOUNDARY = /[.!?]+["'”’)\]]*\s+/g
+const WORD_BOUNDARY = /\s+/g
 
-        // Get the tokensAdded as a string
-        getAddedText: function(transform) {
-            return pt.getAddedText(transform)
-        },
+/**
+ * Split text into chunks of at most maxChunkSize characters.
+ *
+ * Paragraph boundaries are preferred, then sentence boundaries, then whitespace. A chunk is only cut
+ * mid-word if a single word is longer than maxChunkSize. Joining the chunks gives back the original text.
+ *
+ * @param {string} text                 The text to split
+ * @param {number} maxChunkSize         The maximum number of characters in each chunk
+ *
+ * @return {Array}                      An array of strings
+ */
+function splitText(text, maxChunkSize) {
+    return packPieces(text, maxChunkSize, [PARAGRAPH_BOUNDARY, SENTENCE_BOUNDARY, WORD_BOUNDARY])
+}
 
-        // Get the original text of the job
-        getOriginalText: function() {
-            return pt.getOriginalText(data)
-        },
+/**
+ * Greedily pack pieces of text (split on the first boundary) into chunks, recursively splitting pieces
+ * that are too large on the remaining boundaries.
+ *
+ * @param {string} text                 The text to split
+ * @param {number} maxChunkSize         The maximum number of characters in each chunk
+ * @param {Array} boundaries            Regular expressions to split on, from most to least preferred
+ *
+ * @return {Array}                      An array of strings
+ */
+function packPieces(text, maxChunkSize, boundaries) {
 
-        // Get all "clean" transformations (ones that have not been accepted or rejected yet)
-        getAllClean: function() {
-            return flattenedTransforms.filter(pt.isClean)
-        },
+    if (text.length <= maxChunkSize) {
+        return [text]
+    }
 
-        // Get the number of sentences in the job
-        getNumSentences: function() {
-            return pt.getNumSentences(data)
-        },
+    if (boundaries.length == 0) {
+        const slices = []
 
-        getNumTransformations: function() {
-            return flattenedTransforms.length
+        for (var i = 0; i < text.length; i += maxChunkSize) {
+            slices.push(text.slice(i, i + maxChunkSize))
         }
-    }
 
-    // private utility to get the next non-suggestion
-    function getNextNonSuggestion() {
-    	return allAvailableTransforms.find(function(transform) {
-	        return !transform.isSuggestion
-	    })
+        return slices
     }
 
-    // Execute all transformations available
-    editor.applyAll = function(ignoreSuggestions) {
-        while (editor.hasNextTransform(ignoreSuggestions)) {
-            editor.acceptCorrection(editor.getNextTransform(ignoreSuggestions))
+    const chunks = []
+    var current = ""
+
+    splitAfter(text, boundaries[0]).forEach(function(piece) {
+        if (current.length + piece.length <= maxChunkSize) {
+            current += piece
+            return
         }
-    }
 
-    // Undo all accept/reject actions
-    editor.undoAll = function() {
-        while (editor.canUndoTransform) {
-            editor.undoLastTransform()
+        if (current) {
+            chunks.push(current)
+            current = ""
         }
-    }
 
-    // Get the character offset of the correct relative to the entire document
-    editor.getTransformDocumentOffset = function(transform) {
-    	const sentence = editor.getSentenceFromTransform(transform)
-    	return editor.getSentenceOffset(sentence) + editor.getTransformOffset(transform)
-    }
+        if (piece.length <= maxChunkSize) {
+            current = piece
+        } else {
+            const subChunks = packPieces(piece, maxChunkSize, boundaries.slice(1))
 
-    return editor
-}
+            // the last sub-chunk may still have room for the next piece
+            current = subChunks.pop()
+            Array.prototype.push.apply(chunks, subChunks)
+        }
+    })
 
-/**
- * Get the current text of the job, considering transformations that have been accepted or rejected.
- *
- * @param {Object} data     Result returned from submitJob
- *
- * @return {string}         current text of the job    
- */
-this.getCurrentText = function(data) {
-    return data.rulesApplied.map(pt.getCurrentSentenceText).join("")
+    if (current) {
+        chunks.push(current)
+    }
+
+    return chunks
 }
 
 /**
- * Accepts the transformation and modifies the state of the job to reflect the change
+ * Split text after every match of the boundary (the boundary is kept at the end of each piece).
  *
+ * @param {string} text                 The text to split
+ * @param {Object} boundary             A global regular expression
  *
- * @param {Object} data           Result returned from submitJob
- * @param {Object} transform      The transformation to be accepted
- * @param {string} [apiKey]       Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
- *
- * @return {boolean}              True if successfully accepted, else false
+ * @return {Array}                      An array of strings
  */
-this.acceptCorrection = function(data, transform, apiKey) {
-    const sentence = data.rulesApplied[transform.sentenceIndex]
-
-    if (transform.isAvailable) {
+function splitAfter(text, boundary) {
+    const pieces = []
+    const regex = new RegExp(boundary.source, "g")
 
-        const prevText = pt.getCurrentSentenceText(sentence)
-        const offset = pt.getTransformOffset(data, transform)
+    var start = 0
+    var match
 
-        makeTransform(sentence, transform)
+    while ((match = regex.exec(text)) !== null) {
+        if (match[0].length == 0) {
+            regex.lastIndex++
+            continue
+        }
 
-        transform.status = pt.TRANSFORM_STATUS_ACCEPTED
+        const end = match.index + match[0].length
 
-        if (canPersist()) {
-            saveTransformStatus(data, transform, apiKey, prevText, offset)
-        }
+        pieces.push(text.slice(start, end))
+        start = end
+    }
 
-        return true
+    if (start < text.length) {
+        pieces.push(text.slice(start))
     }
 
-    return false
+    return pieces
 }
 
 /**
- * Rejects the transformation and modifies the state of the job to reflect the change
+ * Run an asynchronous worker over every item, with at most "concurrency" workers pending at a time.
  *
+ * Results are returned in input order. The first failure rejects the returned Promise and stops
+ * any further items from being started.
  *
- * @param {Object} data         Result returned from submitJob
- * @param {Object} transform    The transformation to be rejected
- * @param {string} [apiKey]     Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
+ * @param {Array} items                 The items to process
+ * @param {number} concurrency          The maximum number of pending workers
+ * @param {function} worker             Function (item, index) returning a Promise
  *
- * @return {boolean}            True if successfully rejected, else false
+ * @return {Object}                     Promise containing the array of results
  */
-this.rejectCorrection = function(data, transform, apiKey) {
-    const sentence = data.rulesApplied[transform.sentenceIndex]
+function mapWithConcurrency(items, concurrency, worker) {
 
-    if (transform.isAvailable) {
+    return new Promise(function(resolve, reject) {
+        const results = new Array(items.length)
 
-        const prevText = pt.getCurrentSentenceText(sentence)
-        const offset = pt.getTransformOffset(data, transform)
+        var nextIndex = 0
+        var numPending = 0
+        var failed = false
 
-        // Rejecting a transformation does not affect which transformations are currently available
-        transform.status = pt.TRANSFORM_STATUS_REJECTED
-        transform.isAvailable = false
+        function startNext() {
+            if (failed) {
+                return
+            }
+
+            if (nextIndex >= items.length) {
+                if (numPending == 0) {
+                    resolve(results)
+                }
+                return
+            }
 
-        if (canPersist()) {
-            saveTransformStatus(data, transform, apiKey, prevText, offset)
+            const index = nextIndex++
+            numPending += 1
+
+            Promise.resolve()
+                .then(function() {
+                    return worker(items[index], index)
+                })
+                .then(function(result) {
+                    results[index] = result
+                    numPending -= 1
+                    startNext()
+                }, function(error) {
+                    failed = true
+                    reject(error)
+                })
         }
 
-        return true
-    }
+        const numWorkers = Math.max(1, Math.min(concurrency || 1, items.length))
+
+        if (items.length == 0) {
+            resolve(results)
+        }
 
-    return false
+        for (var i = 0; i < numWorkers && i < items.length; i++) {
+            startNext()
+        }
+    })
 }
 
 /**
- * Resets the transformation to "clean" and modifies the state of the job to reflect the change
+ * Merge the results of several jobs (consecutive chunks of one document) into a single result.
+ *
+ * Sentences are concatenated in order, and token ids are renumbered so they stay unique across chunks.
+ * All metadata (sentence/transform indices, groups, active tokens) is stripped so that "setMetaData"
+ * can be run on the merged result as if it were a single job.
+ *
+ * Each merged sentence remembers the job it came from ("sourceJobId") and its index in that job
+ * ("sourceSentenceIndex") so that status updates are still sent to the right job.
  *
+ * The grammar score is averaged, weighted by the length of each chunk.
  *
- * @param {Object} data          Result returned from submitJob
- * @param {Object} transform     The transformation to be reset
- * @param {string} [apiKey]      Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
+ * @param {Array} results               Job results, in document order
+ * @param {Array} chunks                The text submitted for each job
  *
- * @return {boolean}             True if successfully reset, else false
+ * @return {Object}                     The merged job result
  */
-this.resetCorrection = function(data, transform, apiKey) {
-
-    const sentence = data.rulesApplied[transform.sentenceIndex]
+function mergeResults(results, chunks) {
+
+    const merged = Object.assign({}, results[0], {
+        id: results[0].id,
+        jobIds: results.map(function(result) {
+            return result.id
+        }),
+        rulesApplied: []
+    })
 
-    if (pt.canUndoTransform(sentence, transform)) {
-        undoTransform(sentence, transform)
+    delete merged.hasMeta
 
-        transform.status = pt.TRANSFORM_STATUS_CLEAN
+    var tokenIdOffset = 0
 
-        if (canPersist()) {
+    results.forEach(function(result, chunkIndex) {
+        var maxTokenId = -1
 
-            const text = pt.getCurrentSentenceText(sentence)
-            const offset = pt.getTransformOffset(data, transform)
+        function renumber(token) {
+            if (typeof token.id == "number") {
+                maxTokenId = Math.max(maxTokenId, token.id)
+                return Object.assign({}, token, { id: token.id + tokenIdOffset })
+            }
 
-            saveTransformStatus(data, transform, apiKey, text, offset)
+            return Object.assign({}, token, { id: chunkIndex + ":" + token.id })
         }
 
-        return true
+        (result.rulesApplied || []).forEach(function(sentence, sentenceIndex) {
+            const mergedSentence = Object.assign({}, sentence, {
+                sourceJobId: sentence.sourceJobId != undefined ? sentence.sourceJobId : result.id,
+                sourceSentenceIndex: sentence.sourceSentenceIndex != undefined ? sentence.sourceSentenceIndex : sentenceIndex,
+                originalSentence: sentence.originalSentence.map(renumber),
+                transformations: sentence.transformations.map(function(transform) {
+                    const mergedTransform = Object.assign({}, transform, {
+                        tokensAffected: transform.tokensAffected.map(renumber),
+                        tokensAdded: transform.tokensAdded.map(renumber)
+                    })
+
+                    delete mergedTransform.groupId
+                    delete mergedTransform.isAvailable
+                    delete mergedTransform.transformIndex
+                    delete mergedTransform.indexInSentence
+                    delete mergedTransform.sentenceIndex
+
+                    return mergedTransform
+                })
+            })
+
+            delete mergedSentence.activeTokens
+            delete mergedSentence.groups
+            delete mergedSentence.sentenceIndex
+
+            merged.rulesApplied.push(mergedSentence)
+        })
+
+        tokenIdOffset += maxTokenId + 1
+    })
+
+    if (results.every(function(result) { return typeof result.grammarScore == "number" })) {
+        const totalLength = chunks.reduce(function(total, chunk) {
+            return total + chunk.length
+        }, 0)
+
+        merged.grammarScore = results.reduce(function(score, result, chunkIndex) {
+            return score + result.grammarScore * chunks[chunkIndex].length / (totalLength || 1)
+        }, 0)
     }
 
-    return false
+    if (results.every(function(result) { return typeof result.corrected == "string" })) {
+        merged.corrected = results.map(function(result) {
+            return result.corrected
+        }).join("")
+    }
+
+    return merged
 }
 
 /*********************************************************************
-                 Perfect Tense Result Utilities
+                          Review Policies
 **********************************************************************/
 
+/*
+    A review policy decides what the interactive editor does with each transformation:
+
+        {
+            rules: [
+                { match: { category: "Spelling", hasReplacement: true }, action: "accept" },
+                { match: { ruleId: [12, 34] }, action: "hide" }
+            ],
+            default: "review"
+        }
+
+    The first rule whose "match" fits the transformation wins (every key of "match" must equal the
+    transformation's value for that key, or be an array containing it). Actions:
+
+        "accept"    Accepted automatically by editor.applyPolicy (never offered for review)
+        "hide"      Never offered for review
+        "review"    Offered for review (getNextTransform, getAllAvailableTransforms, ...)
+*/
+
+const POLICY_ACTION_ACCEPT = "accept"
+const POLICY_ACTION_HIDE = "hide"
+const POLICY_ACTION_REVIEW = "review"
+const POLICY_ACTIONS = [POLICY_ACTION_ACCEPT, POLICY_ACTION_HIDE, POLICY_ACTION_REVIEW]
+
 /**
- * Returns the number of sentences in the job.
+ * Throw if the review policy is malformed.
  *
- *
- * @param {Object} data     Result returned from submitJob
- *
- * @return {number}         The number of sentences in the job
+ * @param {Object} policy               The review policy
  */
-this.getNumSentences = function(data) {
-    return data.rulesApplied.length
+function validatePolicy(policy) {
+    const actions = (policy.rules || []).map(function(rule) {
+        return rule.action
+    }).concat([policy.default || POLICY_ACTION_REVIEW])
+
+    actions.forEach(function(action) {
+        if (POLICY_ACTIONS.indexOf(action) == -1) {
+            throw new Error("Unknown review policy action: " + action)
+        }
+    })
 }
 
 /**
- * Returns the number of transformations in a sentence.
+ * Get the action the review policy assigns to the transformation.
  *
+ * @param {Object} [policy]             The review policy (every transformation is reviewed if there is none)
+ * @param {Object} transform            The transformation in question
  *
- * @param {Object} sentence     A sentence object
- *
- * @return {number}             The number of transformations in the sentence
+ * @return {string}                     "accept", "hide" or "review"
  */
-this.getNumTransformations = function(sentence) {
-    return sentence.transformations.length
+function getPolicyAction(policy, transform) {
+    if (!policy) {
+        return POLICY_ACTION_REVIEW
+    }
+
+    const rule = (policy.rules || []).find(function(rule) {
+        return policyRuleMatches(rule.match || {}, transform)
+    })
+
+    return rule ? rule.action : (policy.default || POLICY_ACTION_REVIEW)
 }
 
 /**
- * Returns the transformation at the specified index in the sentence.
- *
+ * Returns true if the transformation fits every key of the rule's "match".
  *
- * @param {Object} sentence             A sentence object
- * @param {number} transformIndex       The transformation index
+ * @param {Object} match                Map of transformation key -> expected value (or array of accepted values)
+ * @param {Object} transform            The transformation in question
  *
- * @return {number}                     The number of transformations in the sentence
+ * @return {boolean}                    True if the transformation matches, else false
  */
-this.getTransformationAtIndex = function(sentence, transformIndex) {
-    return sentence.transformations[transformIndex]
+function policyRuleMatches(match, transform) {
+    return Object.keys(match).every(function(key) {
+        const expected = match[key]
+
+        return Array.isArray(expected) ?
+            expected.indexOf(transform[key]) != -1 :
+            transform[key] == expected
+    })
 }
 
-/**
- * Gets the sentence at the specified index.
- *
- *
- * @param {Object} data     Result returned from submitJob
- *
- * @return {Object}         The sentence object at the specified index
- */
-this.getSentence = function(data, sentenceIndex) {
-    return data.rulesApplied[sentenceIndex]
-}
+/*********************************************************************
+                          Diff Rendering
+**********************************************************************/
 
-/**
- * Get all transformations that overlap with the parameter transform.
- *
- * Ex: "He hzve be there before"
- * t1: "hzve" -> "have"
- * t2: "have be" -> "has been"
- *
- * getOverlappingGroup(sentence, t1) will return [t1, t2]
- *
- *
- * @param {Object} sentence     A sentence from the submitJob response (data.rulesApplied[index])
- * @param {Object} transform    A transformation inside that sentence (sentence.transformations[index])
- *
- * @return {Object}             An array of transformations that overlap with the parameter transformation
- */
-this.getOverlappingGroup = function(sentence, transform) {
-    return sentence.groups[transform.groupId]
-}
+/*
+    Diffs are built from the token/transformation model (see getDiffSegments) as an array of segments:
 
+        { type: "equal" | "delete" | "insert", text, transformIndex, sentenceIndex }
 
-/**
- * Get the text of the sentence in its current state, considering accepted/rejected corrections.
- *
- *
- * @param {Object} sentence    Sentence object
- *
- * @return {string}            The current text of the sentence
- */
-this.getCurrentSentenceText = function(sentence) {
-    return pt.tokensToString(sentence.activeTokens)
-}
+    "transformIndex" is the index of the transformation that deleted/inserted the text (null for "equal").
+*/
 
-/**
- * Get the original text of a sentence, prior to any corrections.
- *
- *
- * @param {Object} sentence    Sentence object
- *
- * @return {string}            The original text of the sentence
- */
-this.getOriginalSentenceText = function(sentence) {
-    return pt.tokensToString(sentence.originalSentence)
-}
+const DIFF_EQUAL = "equal"
+const DIFF_DELETE = "delete"
+const DIFF_INSERT = "insert"
 
-/**
- * Get the current text of an entire document/job, considering accepted/rejected corrections.
- *
- *
- * @param {Object} data        Result returned from submitJob
- *
- * @return {string}            The current text of the job
- */
-this.getCurrentText = function(data) {
-    return data.rulesApplied.map(pt.getCurrentSentenceText).join("")
-}
+// Number of unchanged lines shown around each change in unified diffs
+const UNIFIED_DIFF_CONTEXT = 3
+const NO_NEWLINE_MARKER = "\\ No newline at end of file"
 
+const ANSI_RED = "\u001b[31m"
+const ANSI_GREEN = "\u001b[32m"
+const ANSI_STRIKETHROUGH = "\u001b[9m"
+const ANSI_UNDERLINE = "\u001b[4m"
+const ANSI_RESET = "\u001b[0m"
 
 /**
- * Get the original text of an entire document/job, prior to any corrections.
- *
+ * Render diff segments as HTML, using <del>/<ins> elements linked to their transformation
+ * with a "data-transform-index" attribute.
  *
- * @param {Object} data        Result returned from submitJob
+ * @param {Array} segments              Diff segments
  *
- * @return {string}            The original text of the job
+ * @return {string}                     HTML fragment
  */
-this.getOriginalText = function(data) {
-    return data.rulesApplied.map(pt.getOriginalSentenceText).join("")
-}
+function renderHtmlDiff(segments) {
+    return segments.map(function(segment) {
+        const text = escapeHtml(segment.text)
 
-/**
- * Returns true if the parameter transformations affect the exact same tokens in the sentence.
- *
- *
- * @param {Object} transform1        The first transformation
- * @param {Object} transform2        The second transformation
- *
- * @return {boolean}                 True if the transformations effect the exact same tokens, else false
- */
-this.affectsSameTokens = function(transform1, transform2) {
-    return transform1.sentenceIndex == transform2.sentenceIndex &&
-        transform1.tokensAffected.length == transform2.tokensAffected.length &&
-        transform1.tokensAffected.every(function(token, index) {
-            return token.id == transform2.tokensAffected[index].id
-        })
-}
+        if (segment.type == DIFF_EQUAL) {
+            return text
+        }
 
-/**
- * Get the sentence index of the parameter transformation.
- *
- *
- * @param {Object} transform       The transformation in question
- *
- * @return {number}                The index of the sentence in the job (0-based)
- */
-this.getSentenceIndex = function(transform) {
-    return transform.sentenceIndex
-}
+        const tag = segment.type == DIFF_DELETE ? "del" : "ins"
 
-/**
- *  Get the index of the parameter transformation in the current sentence.
- *
- *
- * @param {Object} transform       The transformation in question
- *
- * @return {number}                The index of the transformation in the sentence (0-based)
- */
-this.getTransformIndexInSentence = function(transform) {
-    return transform.indexInSentence
+        return "<" + tag + " data-transform-index=\"" + segment.transformIndex + "\">" + text + "</" + tag + ">"
+    }).join("")
 }
 
 /**
- * Get the index of the parameter transformation in the job.
- *
- * Note that this is a 0-based index relative to ALL transformations in the job,
- * not just those in the current sentence.
+ * Render diff segments as ANSI-colored terminal text (deleted text in red/strikethrough, inserted text in green/underlined).
  *
+ * @param {Array} segments              Diff segments
  *
- * @param {Object} transform       The transformation in question
- *
- * @return {number}                The index of the transformation in the job (0-based)
+ * @return {string}                     Colored text
  */
-this.getTransformIndex = function(transform) {
-    return transform.transformIndex
-}
+function renderAnsiDiff(segments) {
+    return segments.map(function(segment) {
+        if (segment.type == DIFF_EQUAL) {
+            return segment.text
+        }
 
-/**
- * Get the "tokens added" field as text (from an array of tokens).
- *
- *
- * @param {Object} transform       The transformation in question
- *
- * @return {string}                The tokens added as a string
- */
-this.getAddedText = function(transform) {
-    return pt.tokensToString(transform.tokensAdded)
-}
+        const style = segment.type == DIFF_DELETE ? ANSI_RED + ANSI_STRIKETHROUGH : ANSI_GREEN + ANSI_UNDERLINE
 
-/**
- * Get the "tokens affected" field as text (from an array of tokens).
- *
- *
- * @param {Object} transform       The transformation in question
- *
- * @return {string}                The tokens affected as a string
- */
-this.getAffectedText = function(transform) {
-    return pt.tokensToString(transform.tokensAffected)
+        return style + segment.text + ANSI_RESET
+    }).join("")
 }
 
 /**
- * Returns true if the transformation is "clean", i.e. has not been accepted or rejected by the user.
- *
+ * Render diff segments as a plain unified diff (line-based, with 3 lines of context).
  *
- * @param {Object} transform        The transformation in question
+ * @param {Array} segments              Diff segments
  *
- * @return {boolean}                True if the transform is clean, else false
+ * @return {string}                     Unified diff (empty if nothing changed)
  */
-this.isClean = function(transform) {
-    return transform.status == pt.TRANSFORM_STATUS_CLEAN
-}
+function renderUnifiedDiff(segments) {
+    const blocks = getLineBlocks(segments)
 
-/**
- * Returns true if the transformation has been accepted by the user
- *
- *
- * @param {Object} transform        The transformation in question
- *
- * @return {boolean}                True if the transform has been accepted, else false
- */
-this.isAccepted = function(transform) {
-    return transform.status == pt.TRANSFORM_STATUS_ACCEPTED
-}
+    if (!blocks.some(function(block) { return block.changed })) {
+        return ""
+    }
 
-/**
- * Returns true if the transformation has been rejected by the user
- *
- *
- * @param {Object} transform        The transformation in question
- *
- * @return {boolean}                True if the transform has been rejected, else false
- */
-this.isRejected = function(transform) {
-    return transform.status == pt.TRANSFORM_STATUS_REJECTED
-}
+    const output = ["--- original", "+++ current"]
 
-/**
- * Returns true if the transformation can be made, given the current state of the sentence.
- *
- * This is checked by verifying that all of the "tokensAffected" in the transformation are present
- * in the active working set of tokens in the sentence.
- *
- * @param {Object} transform        The transformation in question
- *
- * @return {boolean}                True if the transform can be made, else false
- */
-this.canMakeTransform = function(sentence, transform) {
-    return tokensArePresent(transform.tokensAffected, sentence.activeTokens)
-}
+    var index = 0
 
-/**
- * Returns true if the transformation can be undone, given the current state of the sentence.
- *
- * This is checked by verifying that all of the "tokensAdded" in the transformation are present
- * in the active working set of tokens in the sentence (if there are any).
- *
- * @param {Object} transform        The transformation in question
- *
- * @return {boolean}                True if the transform can be undone, else false
- */
-this.canUndoTransform = function(sentence, transform) {
-    return !transform.hasReplacement ||
-        (pt.isAccepted(transform) && tokensArePresent(transform.tokensAdded, sentence.activeTokens)) ||
-        (pt.isRejected(transform) && tokensArePresent(transform.tokensAffected, sentence.activeTokens))
-}
+    while (index < blocks.length) {
+        if (!blocks[index].changed) {
+            index += 1
+            continue
+        }
 
+        // Extend the hunk while changes are separated by less than 2 * context unchanged lines
+        const start = Math.max(0, index - UNIFIED_DIFF_CONTEXT)
+        var end = index
 
-/**
- * Get the character offset of the sentence, given the current state of the job.
- *
- * @param {Object} data        Result returned from submitJob
- * @param {Object} sentence    The sentence in question
- *
- * @return {number}            The character offset of the sentence
- */
-this.getSentenceOffset = function(data, sentence) {
+        while (end < blocks.length) {
+            var next = end + 1
 
-    var fullText = ""
-    var offset = -1
+            while (next < blocks.length && !blocks[next].changed && next - end <= 2 * UNIFIED_DIFF_CONTEXT) {
+                next += 1
+            }
 
-    return data.rulesApplied.find(function(s, sentIndex) {
-        if (sentIndex == sentence.sentenceIndex) {
-            offset = fullText.length
-            return true
-        } else {
-            fullText += pt.getCurrentSentenceText(s)
-            return false
+            if (next < blocks.length && blocks[next].changed) {
+                end = next
+            } else {
+                break
+            }
         }
-    })
 
-    return offset
-}
+        const stop = Math.min(blocks.length, end + 1 + UNIFIED_DIFF_CONTEXT)
+        const hunk = blocks.slice(start, stop)
+        const lines = []
 
-/**
- * Get the character offset of the transformation relative to the sentence start
- * given the current state of the job.
- *
- * @param {Object} data        Result returned from submitJob
- * @param {Object} sentence    The transformation in question
- *
- * @return {number}            The character offset of the transformation (relative to sentence start), or -1 if it is not present
- */
-this.getTransformOffset = function(data, transform) {
+        var originalCount = 0
+        var currentCount = 0
+
+        hunk.forEach(function(block) {
+            if (block.changed) {
+                block.original.forEach(function(line) {
+                    lines.push("-" + line)
+                })
+                if (block.noNewline) {
+                    lines.push(NO_NEWLINE_MARKER)
+                }
+                block.current.forEach(function(line) {
+                    lines.push("+" + line)
+                })
+            } else {
+                lines.push(" " + block.original[0])
+            }
+
+            if (block.noNewline) {
+                lines.push(NO_NEWLINE_MARKER)
+            }
+
+            originalCount += block.original.length
+            currentCount += block.current.length
+        })
+
+        output.push("@@ -" + formatHunkRange(blocks[start].originalLine, originalCount) +
+            " +" + formatHunkRange(blocks[start].currentLine, currentCount) + " @@")
 
-    const sentence = data.rulesApplied[transform.sentenceIndex]
+        Array.prototype.push.apply(output, lines)
 
-    if (pt.canMakeTransform(sentence, transform)) {
-        const activeTokens = sentence.activeTokens
-        return getTransformOffsetHelper(transform, activeTokens)
+        index = stop
     }
 
-    return -1
+    return output.join("\n") + "\n"
 }
 
 /**
- * Join tokens into a single string.
+ * Format the line range of a hunk header ("start,count", where an empty range starts at the previous line).
  *
- * This will map each token to [token.value] + [token.after] and join together.
+ * @param {number} line                 First line of the range (1-based)
+ * @param {number} count                Number of lines in the range
  *
- * @param {Object} tokens      The tokens to turn into a string
- *
- * @return {string}            The tokens joined as a single string
+ * @return {string}                     The formatted range
  */
-this.tokensToString = function(tokens) {
-    return tokens.map(function(token) {
-        return token.value + token.after
-    }).join("")
+function formatHunkRange(line, count) {
+    return (count == 0 ? line - 1 : line) + "," + count
 }
 
 /**
- * Set job metadata in-place for easier interaction/manipulation.
- *
- * Main steps:
- *
- * 1. 
- *     Some transformations overlap/are derived from the result of others. 
- *     Iterate through all transformations and mark transformations that are 
- *     dependent on others as being members of the same group.
+ * Group diff segments into line blocks for unified diffs.
  *
- *         ex: "He hzve be there befor"
+ * Each block is either a single unchanged line, or a run of changed lines: { changed, original, current,
+ * originalLine, currentLine, noNewline } where "original"/"current" are the block's lines before/after the changes,
+ * "originalLine"/"currentLine" are the (1-based) line numbers they start at, and "noNewline" is set on the last
+ * block if the text does not end with a newline.
  *
- *         Transformations:
- *             hzve -> have
- *             have be -> has been
- *             befor -> before
- *         Groups:
- *             0:
- *                 hzve -> have
- *                 have be -> has been
- *             1:
- *                 befor -> before
- * 2.
- *     Set transform -> sentence/transform index and sentence -> sentenceIndex for quicker referencing
- * 3.
- *     Update the "active tokens" in the sentence based on the current status of the transformations
- *     (useful if recovering a previous job that already has transformations set to accept/reject)
+ * @param {Array} segments              Diff segments
  *
- *     If not recovering a previous job, set the active tokens to the initial set.
- *
- *
- * @param {Object} data        Result returned from submitJob
+ * @return {Array}                      Line blocks
  */
-this.setMetaData = function(data) {
-
-    if (!data.rulesApplied) return
-
-    // Count all transforms seen (accross all sentences) and assign index (used as unique id)
-    var transformCounter = 0
-
-    data.rulesApplied.forEach(function(sentence, sentenceIndex) {
-
-        // current working set of tokens in the sentence
-        sentence.activeTokens = sentence.originalSentence
-
-        // hold reference to index
-        sentence.sentenceIndex = sentenceIndex
-
-        // track overlapping transform groups
-        sentence.groups = {}
-
-        // Group id for overlapping transformations in the current sentence
-        var groupIdCounter = 0
+function getLineBlocks(segments) {
+    const blocks = []
 
-        const numTransformsInSent = sentence.transformations.length
+    var original = ""
+    var current = ""
+    var changed = false
 
-        // Assign group id to each transform
-        sentence.transformations.forEach(function(transform, transformIndex) {
+    var originalLine = 1
+    var currentLine = 1
 
-            // Set indices for future reference
-            transform.transformIndex = transformCounter++ // index relative to flattened list of all transforms
-                transform.indexInSentence = transformIndex // index in current sentence
-            transform.sentenceIndex = sentenceIndex // sentence index
+    function pushBlock(originalText, currentText) {
+        const originalLines = originalText.split("\n")
+        const currentLines = currentText.split("\n")
 
-            if (!transform.status) {
-                transform.status = pt.TRANSFORM_STATUS_CLEAN
-            }
+        const last = blocks[blocks.length - 1]
 
-            /*
-                Since the transformations are topologically sorted (they are in the order that they were made by Perfect Tense),
-                we can just iterate through in-order and make replacements if the state is set to accepted
-            */
-            updateActiveTokens(sentence, transform)
+        // Merge consecutive changed lines into a single block
+        if (changed && last && last.changed) {
+            Array.prototype.push.apply(last.original, originalLines)
+            Array.prototype.push.apply(last.current, currentLines)
+        } else {
+            blocks.push({
+                changed: changed,
+                original: originalLines,
+                current: currentLines,
+                originalLine: originalLine,
+                currentLine: currentLine
+            })
+        }
 
-            // Set group id (if not previously marked by upstream transform)
-            if (transform.groupId == undefined) {
-                const groupQueue = [transform]
-                const groupId = groupIdCounter++
-                    sentence.groups[groupId] = []
+        originalLine += originalLines.length
+        currentLine += currentLines.length
+    }
 
-                /*
-                    Find all transformations that overlap with this transform, then all that overlap with those, etc. (breadth first search)
-                */
-                while (groupQueue.length > 0) {
-                    const nextInGroup = groupQueue.shift()
+    segments.forEach(function(segment) {
+        if (segment.type != DIFF_EQUAL) {
+            changed = true
+            original += segment.type == DIFF_DELETE ? segment.text : ""
+            current += segment.type == DIFF_INSERT ? segment.text : ""
+            return
+        }
 
-                    if (nextInGroup.groupId == undefined) {
-                        nextInGroup.groupId = groupId
-                        sentence.groups[groupId].push(nextInGroup)
+        const parts = segment.text.split("\n")
 
-                        /*
-                             Since the transforms are already sorted based on the order they were created,
-                             we just need to check the rest of the queue for unassigned/overlapping transforms
-                        */
-                        for (var i = nextInGroup.indexInSentence + 1; i < numTransformsInSent; i++) {
-                            const nextTrans = sentence.transformations[i]
+        parts.forEach(function(part, partIndex) {
+            original += part
+            current += part
 
-                            // won't be set yet...
-                            nextTrans.indexInSentence = i;
+            // Every newline in unchanged text ends a line
+            if (partIndex < parts.length - 1) {
+                pushBlock(original, current)
 
-                            if (nextTrans.groupId == undefined && transformsOverlap(nextInGroup, nextTrans, true)) {
-                                groupQueue.push(nextTrans)
-                            }
-                        }
-                    }
-                }
+                original = ""
+                current = ""
+                changed = false
             }
         })
-
-        setIsAvailable(sentence.transformations, sentence)
     })
 
-    data.hasMeta = true
+    if (original || current || changed) {
+
+        // Changed text at the very end may include the final newline
+        if (original.endsWith("\n") && current.endsWith("\n")) {
+            pushBlock(original.slice(0, -1), current.slice(0, -1))
+        } else {
+            pushBlock(original, current)
+            blocks[blocks.length - 1].noNewline = true
+        }
+    }
+
+    return blocks
 }
 
 /**
- * Get all available transformations in the sentence.
+ * Escape text for use in HTML.
  *
- * It is assumed that the "isAvailable" field in each transformation is kept up-to-date
- * (generally handled for you when using this API).
+ * @param {string} text                 The text to escape
  *
- * @param {Object} sentence        The sentence in question
+ * @return {string}                     The escaped text
  */
-this.getAvailableTransforms = function(sentence) {
-    return sentence.transformations.filter(transform => transform.isAvailable)
+function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
 }
 
+const DIFF_RENDERERS = {
+    html: renderHtmlDiff,
+    ansi: renderAnsiDiff,
+    unified: renderUnifiedDiff
+}
 
 /*********************************************************************
-                Private Helper Functions/Utilities
+                            Markup
 **********************************************************************/
 
-/**
- * Returns true if the tokens are a valid subsequence of the active tokens in the sentence.
- *
- *
- * @param {Object} tokens       An array of token objects
- * @param {Object} allTokens    An array of tokens to look for "tokens" in
- *
- * @return {boolean}            True if the tokens are a valid subsequence, else false
- */
-function tokensArePresent(tokens, allTokens) {
-    var lastIndex = -1
+/*
+    Markdown and HTML are submitted as plain prose: markup (tags, link URLs, code blocks, emphasis
+    markers, ...) is left out, and every prose character is mapped back to the source.
+
+    The mapping is a list of segments:
+
+        { proseStart, proseEnd, sourceStart, sourceEnd, atomic }
+
+    Regular segments are copied verbatim from the source. "Atomic" segments hold text that differs
+    from the source (ex. the decoded "&amp;" entity), and are rewritten as a whole when changed.
+    Prose characters outside every segment are separators added between blocks (paragraphs, list
+    items, headings, ...) and have no source position.
+
+    "wrappers" are inline elements ({ start, contentStart, contentEnd, end } in the source, ex. the
+    "**" around "**bold**") that are removed altogether when corrections delete all their content.
+*/
+
+const MARKUP_MARKDOWN = "markdown"
+const MARKUP_HTML = "html"
+
+// Job option listing text the API should leave untouched
+const PROTECTED_TEXT_OPTION = "protectedText"
+
+const BLOCK_SEPARATOR = "\n\n"
+const LINE_SEPARATOR = "\n"
+
+const URL_PATTERN = /^(?:https?:\/\/|www\.)[^\s<>()[\]]*[^\s<>()[\].,;:!?'"]/i
+const ENTITY_PATTERN = /^&(#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i
+
+const NAMED_ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: "\"",
+    apos: "'",
+    nbsp: "\u00a0",
+    ndash: "\u2013",
+    mdash: "\u2014",
+    hellip: "\u2026",
+    lsquo: "\u2018",
+    rsquo: "\u2019",
+    ldquo: "\u201c",
+    rdquo: "\u201d",
+    copy: "\u00a9",
+    reg: "\u00ae",
+    trade: "\u2122"
+}
 
-    const isAvailable = tokens.every(function(token) {
+// HTML elements whose content is never prose
+const HTML_SKIPPED_ELEMENTS = ["script", "style", "pre", "textarea", "template", "head", "svg", "math", "noscript", "iframe", "object"]
 
-        const indexOfId = allTokens.findIndex(function(activeToken) {
-            return token.id == activeToken.id
-        })
+// HTML elements whose content is protected (kept in the prose, but not corrected)
+const HTML_PROTECTED_ELEMENTS = ["code", "kbd", "samp", "var"]
 
-        if (indexOfId != -1 && (lastIndex == -1 || indexOfId == lastIndex + 1)) {
-            lastIndex = indexOfId
-            return true
-        }
+// HTML elements that start a new block of prose
+const HTML_BLOCK_ELEMENTS = ["address", "article", "aside", "blockquote", "body", "caption", "dd", "details", "div", "dl", "dt", "fieldset",
+    "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "html", "li", "main", "nav", "ol", "p",
+    "section", "summary", "table", "tbody", "td", "tfoot", "th", "thead", "title", "tr", "ul"
+]
 
-        return false
-    })
+const HTML_VOID_ELEMENTS = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]
 
-    return isAvailable
-}
+const HTML_TAG_PATTERN = /^<(\/?)([a-z][a-z0-9-]*)(?:[^>"']|"[^"]*"|'[^']*')*>/i
 
 /**
- * Returns true if the elements of the parameter arrays overlap, optionally using the passed comparator.
+ * Create a builder accumulating prose text and its mapping to the source.
  *
+ * @param {string} source               The source (markup) text
  *
- * @param {Object} a1                   The first array
- * @param {Object} a2                   The second array
- * @param {function} comparator=null    Optional comparator function
- *
- * @return {boolean}                    True if the array elements overlap, else false
+ * @return {Object}                     Builder
  */
-function arraysOverlap(a1, a2, comparator) {
-
-    comparator = comparator || function(x, y) {
-        return x == y
+function createProseBuilder(source) {
+    const builder = {
+        text: "",
+        segments: [],
+        wrappers: [],
+        protectedText: []
     }
 
-    return a1.some(function(e1) {
-        return a2.some(function(e2) {
-            return comparator(e1, e2)
-        })
-    })
-}
-
-/**
- * Returns true if the ids of the parameter tokens match.
- *
- *
- * @param {Object} t1                   The first token
- * @param {Object} t2                   The second token
- *
- * @return {boolean}                    True if the token ids are the same, else false
- */
-function compareTokens(t1, t2) {
-    return t1.id == t2.id
-}
+    function push(text, sourceStart, sourceEnd, atomic) {
+        const last = builder.segments[builder.segments.length - 1]
+        const proseStart = builder.text.length
 
-/**
- * Returns true if the parameter transformations overlap in any way, considering both tokensAffected and tokensAdded.
- *
- * If inOrder is true, it is assumed that t1 came prior to t2 in the correction pipeline, and we are guaranteed
- * that the tokensAffected of t1 do not overlap with the tokensAdded of t2 (t1 is not dependent on t2)
- *
- *
- * @param {Object} t1                   The first transformation
- * @param {Object} t2                   The second transformation
- * @param {boolean} inOrder=false       True if the transformations are in the order they were created, else false
- *
- * @return {boolean}                    True if the transformations overlap, else false
- */
-function transformsOverlap(t1, t2, inOrder) {
+        builder.text += text
 
-    return arraysOverlap(t1.tokensAffected, t2.tokensAffected, compareTokens) || // directly affect same tokens
-        arraysOverlap(t1.tokensAdded, t2.tokensAffected, compareTokens) || // t2 dependent on t1
-        (!inOrder && arraysOverlap(t2.tokensAdded, t1.tokensAffected, compareTokens)) // t1 dependent on t2 (don't check if transforms are in order)
-}
+        // Extend the previous segment when both the prose and the source are contiguous
+        if (!atomic && last && !last.atomic && last.proseEnd == proseStart && last.sourceEnd == sourceStart) {
+            last.proseEnd = builder.text.length
+            last.sourceEnd = sourceEnd
+            return
+        }
 
-/**
- * Helper function to get the character offset of a transformations.
- *
- *
- * @param {Object} transform           The transformation in question
- * @param {Object} activeTokens        The array of active tokens in the sentence
- *
- * @return {number}                    True  character offset of the transformation, or -1 if it is not present
- */
-function getTransformOffsetHelper(transform, activeTokens) {
+        builder.segments.push({
+            proseStart: proseStart,
+            proseEnd: builder.text.length,
+            sourceStart: sourceStart,
+            sourceEnd: sourceEnd,
+            atomic: atomic
+        })
+    }
 
-    const firstAffected = transform.tokensAffected[0]
+    // True if the prose is empty or ends with a separator (leading whitespace of a block is markup)
+    function atBlockStart() {
+        return builder.text.length == 0 || builder.text[builder.text.length - 1] == "\n"
+    }
 
-    var offset = -1
-    var sentString = ""
+    // Add source text verbatim (optionally protected from corrections)
+    builder.addText = function(start, end, isProtected) {
+        if (atBlockStart()) {
+            while (start < end && /\s/.test(source[start])) {
+                start += 1
+            }
+        }
 
-    activeTokens.find(function(token, index) {
-        if (token.id == firstAffected.id) {
-            offset = sentString.length
-            return true
-        } else {
-            sentString += token.value + token.after
+        if (start >= end) {
+            return
         }
-    })
 
-    return offset
-}
+        push(source.substring(start, end), start, end, false)
 
-/**
- * Helper to clone a hash object.
- *
- * @param {Object} hash        The hash to be cloned
- *
- * @return {Object}            A shallow copy of the hash
- */
-function cloneHash(hash) {
-    return Object.assign({}, hash)
-}
+        if (isProtected) {
+            builder.protectedText.push(source.substring(start, end))
+        }
+    }
 
-/**
- * Check if the client has been configured to persist transformation status updates.
- *
- *
- * @return {boolean}        True if can persist, else false
- */
-function canPersist() {
-    return pt.persist
-}
+    // Add source text that reads differently in the prose (ex. a decoded entity)
+    builder.addAtomic = function(start, end, text) {
+        push(text, start, end, true)
+    }
 
-/**
- * Save the transformation's status (clean, accepted, rejected).
- *
- * This is optional and can be turned off when calling "initialize".
- *
- * Please consider leaving this enabled, as it helps Perfect Tense learn!
- *
- *
- * @param {Object} ptData            Result returned from submitJob
- * @param {Object} transform         The transformation to save
- * @param {string} apiKey            The apiKey associated with this job
- * @param {string} sentenceText      The sentence's current text (just prior to making transformation)
- * @param {number} offset            Offset of the transform's tokensAffected in the sentenceText
- */
-function saveTransformStatus(ptData, transform, apiKey, sentenceText, offset) {
+    // Add a separator between blocks (or lines)
+    builder.addBreak = function(separator) {
+        if (builder.text.length == 0 || builder.text.endsWith(BLOCK_SEPARATOR)) {
+            return
+        }
+
+        if (builder.text.endsWith(separator)) {
+            return
+        }
 
-    const data = {
-        jobId: ptData.id,
-        responseType: "rulesApplied",
-        sentenceIndex: transform.sentenceIndex,
-        transformIndex: transform.indexInSentence,
-        sentence: sentenceText,
-        offset: offset,
-        status: transform.status
+        builder.text = builder.text.replace(/[ \t]*\n?$/, "") + separator
+        trimLastSegment()
     }
 
-    submitToPT(data, apiKey, "/updateStatus")
-}
+    builder.addWrapper = function(start, contentStart, contentEnd, end) {
+        builder.wrappers.push({
+            start: start,
+            contentStart: contentStart,
+            contentEnd: contentEnd,
+            end: end
+        })
+    }
 
-/**
- * Utility to submit a payload to the Perfect Tense API
- *
- * Once configured, this integration's "App Key" will be inserted into all API requests.
- *
- * See our API documentation for more information: https://www.perfecttense.com/docs/#introduction
- *
- * @param {Object} data            Payload to be submitted (see api docs: )
- * @param {Object} apiKey           The user's apiKey to validate this request
- * @param {string} endPoint        The API endpoint (see docs)
- */
-function submitToPT(data, apiKey, endPoint) {
+    builder.protect = function(proseStart) {
+        const text = builder.text.substring(proseStart)
 
-    const payload = {
-        method: 'POST',
-        url: PT_BASE_URL + endPoint,
-        data: data,
-        headers: {
-            'Authorization': apiKey,
-            'AppAuthorization': pt.appKey,
-            'Content-Type': 'application/json'
+        if (text.trim()) {
+            builder.protectedText.push(text)
         }
     }
 
-    return axios(payload)
-}
+    // Trailing whitespace dropped by addBreak no longer belongs to the last segment
+    function trimLastSegment() {
+        const limit = builder.text.replace(/\n+$/, "").length
 
-/**
- * The the "isAvailable" status of the parameter transformations.
- *
- * A transformation is defined as "available" if its tokensAffected field is a valid 
- * subsequence of the active tokens in the sentence (after any accept/reject actions).
- *
- * @param {Object} transforms      The transformation to be updated
- * @param {Object} sentence        The sentence that the transformations belong to
- */
-function setIsAvailable(transforms, sentence) {
+        while (builder.segments.length) {
+            const last = builder.segments[builder.segments.length - 1]
 
-    function setAvailable(transform) {
-        if (pt.canMakeTransform(sentence, transform)) {
-            transform.isAvailable = true
-        } else {
-            transform.isAvailable = false
+            if (last.proseEnd <= limit) {
+                break
+            }
+
+            if (last.proseStart >= limit || last.atomic) {
+                builder.segments.pop()
+            } else {
+                last.sourceEnd -= last.proseEnd - limit
+                last.proseEnd = limit
+            }
         }
     }
 
-    transforms.forEach(setAvailable)
-}
+    builder.build = function(format) {
+        builder.text = builder.text.replace(/\s+$/, "")
+        trimLastSegment()
+
+        return {
+            format: format,
+            source: source,
+            text: builder.text,
+            segments: builder.segments,
+            wrappers: builder.wrappers,
+            protectedText: builder.protectedText.filter(function(text, index, all) {
+                return all.indexOf(text) == index
+            })
+        }
+    }
 
+    return builder
+}
 
 /**
- * Utility to replace the "affected" tokens with the "added" tokens in the parameter "tokens" array.
+ * Extract the prose of a Markdown document.
  *
- * When a transformation is "accepted", we replace the "tokensAffected" with the "tokensAdded".
+ * Supports the common (CommonMark/GitHub) syntax: headings, paragraphs, lists, block quotes, tables,
+ * code blocks and front matter (skipped), inline code and URLs (protected), links, images (skipped),
+ * emphasis, inline HTML, escapes and entities.
  *
- * When a transformation is "undone", we do the opposite.
+ * @param {string} source               The Markdown source
  *
- * If "affected" is not a valid subsequence of the parameter "tokens", then no replacement can be made
- * and the original tokens are returned.
- *
- *
- * @param {Object} tokens      An array of tokens to make the replacement in
- * @param {Object} affected    A subsequence of "tokens" to be replaced
- * @param {Object} added       An array of tokens that will replace "affected"
+ * @return {Object}                     Markup: { format, source, text, segments, wrappers, protectedText }
  */
-function replaceTokens(tokens, affected, added) {
+function extractMarkdown(source) {
+    const builder = createProseBuilder(source)
+    const lines = []
+    const linePattern = /[^\n]*(\n|$)/g
 
-    // Can't replace if they're not there!
-    if (!tokensArePresent(affected, tokens)) {
-        return tokens
-    }
+    var match
 
-    const firstTokenId = affected[0].id
-    const lastTokenId = affected[affected.length - 1].id
+    while ((match = linePattern.exec(source)) && match[0].length) {
+        lines.push({
+            start: match.index,
+            text: match[0].replace(/\r?\n$/, "")
+        })
+    }
 
-    const startInd = tokens.findIndex(function(token) {
-        return token.id == firstTokenId
-    })
+    var fence = null
+    var inParagraph = false
+    var previousBlank = true
+    var inList = false
+
+    lines.forEach(function(line, index) {
+        const text = line.text
+
+        // Front matter
+        if (index == 0 && /^---\s*$/.test(text)) {
+            fence = /^(---|\.\.\.)\s*$/
+            return
+        }
+
+        if (fence) {
+            if (fence.test(text)) {
+                fence = null
+            }
+            return
+        }
+
+        const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(text)
+
+        if (fenceMatch) {
+            fence = new RegExp("^ {0,3}" + fenceMatch[1][0] + "{" + fenceMatch[1].length + ",}\\s*$")
+            builder.addBreak(BLOCK_SEPARATOR)
+            inParagraph = false
+            return
+        }
+
+        const blank = /^\s*$/.test(text)
+        const wasBlank = previousBlank
+        previousBlank = blank
+
+        if (blank) {
+            builder.addBreak(BLOCK_SEPARATOR)
+            inParagraph = false
+            return
+        }
+
+        if (wasBlank && !/^\s/.test(text)) {
+            inList = false
+        }
+
+        // Indented code block
+        if (/^( {4}|\t)/.test(text) && wasBlank && !inList) {
+            previousBlank = true
+            return
+        }
+
+        // Thematic breaks, setext heading underlines, table delimiter rows and link reference definitions
+        if (/^ {0,3}([-*_])( *\1){2,}\s*$/.test(text) || (inParagraph && /^ {0,3}(=+|-+)\s*$/.test(text)) ||
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(text) || /^ {0,3}\[[^\]]+\]:\s*\S/.test(text)) {
+            builder.addBreak(BLOCK_SEPARATOR)
+            inParagraph = false
+            return
+        }
+
+        var start = line.start
+        var end = line.start + text.length
+        var newBlock = false
+        var heading = false
+        var prefix
+
+        // Block quote markers, list markers and task boxes
+        while ((prefix = /^\s*>\s?/.exec(source.substring(start, end)) ||
+                /^\s*(?:[-*+]|\d{1,9}[.)])(?:\s+\[[ xX]\])?(?:\s+|$)/.exec(source.substring(start, end)))) {
+            newBlock = newBlock || /[-*+.)\]]\s*$/.test(prefix[0])
+            inList = inList || /[-*+.)\]]\s*$/.test(prefix[0])
+            start += prefix[0].length
+        }
+
+        if ((prefix = /^\s*#{1,6}(?:\s+|$)/.exec(source.substring(start, end)))) {
+            start += prefix[0].length
+            end = start + source.substring(start, end).replace(/(\s+#+)?\s*$/, "").length
+            heading = true
+        }
+
+        // Hard line breaks
+        end = start + source.substring(start, end).replace(/(\s+|\\)$/, "").length
+
+        if (newBlock || heading || !inParagraph) {
+            builder.addBreak(BLOCK_SEPARATOR)
+        } else {
+            builder.addBreak(LINE_SEPARATOR)
+        }
+
+        if (/^\s*\|.*\|\s*$/.test(source.substring(start, end))) {
+            // Table row: every cell is a block of its own
+            const rowText = source.substring(start, end)
+            const cellPattern = /[^|]+/g
+            var cell
+
+            while ((cell = cellPattern.exec(rowText))) {
+                builder.addBreak(BLOCK_SEPARATOR)
+                parseMarkdownInline(source, start + cell.index, start + cell.index + cell[0].replace(/\s+$/, "").length, builder)
+            }
 
-    const endInd = tokens.findIndex(function(token) {
-        return token.id == lastTokenId
+            builder.addBreak(BLOCK_SEPARATOR)
+            inParagraph = false
+            return
+        }
+
+        parseMarkdownInline(source, start, end, builder)
+
+        inParagraph = !heading
+
+        if (heading) {
+            builder.addBreak(BLOCK_SEPARATOR)
+        }
     })
 
-    // Sanity check. They should be there if tokensArePresent passed
-    if (startInd != -1 && endInd != -1 && endInd >= startInd) {
-        const before = tokens.slice(0, startInd)
-        const after = tokens.slice(endInd + 1)
-        return before.concat(added).concat(after)
+    return builder.build(MARKUP_MARKDOWN)
+}
+
+/**
+ * Add the prose of a span of inline Markdown to the builder.
+ *
+ * @param {string} source               The Markdown source
+ * @param {number} start                Start of the span
+ * @param {number} end                  End of the span (exclusive)
+ * @param {Object} builder              Prose builder
+ */
+function parseMarkdownInline(source, start, end, builder) {
+    var i = start
+    var textStart = start
+
+    function flush(position) {
+        builder.addText(textStart, position)
+    }
+
+    while (i < end) {
+        const char = source[i]
+        const rest = source.substring(i, end)
+        var match
+
+        if (char == "\\" && /[!-/:-@[-`{-~]/.test(source[i + 1] || "") && i + 1 < end) {
+            flush(i)
+            textStart = i + 1
+            i += 2
+
+        } else if (char == "`" && (match = /^(`+)([^]*?[^`])\1(?!`)/.exec(rest))) {
+            // Inline code: protected
+            const contentStart = i + match[1].length
+            const contentEnd = i + match[0].length - match[1].length
+
+            flush(i)
+            builder.addWrapper(i, contentStart, contentEnd, i + match[0].length)
+            builder.addText(contentStart, contentEnd, true)
+            i += match[0].length
+            textStart = i
+
+        } else if (char == "!" && (match = /^!\[(?:[^\]\\]|\\.)*\](?:\([^)]*\)|\[[^\]]*\])?/.exec(rest))) {
+            // Images: skipped
+            flush(i)
+            i += match[0].length
+            textStart = i
+
+        } else if (char == "[" && (match = /^\[((?:[^\]\\]|\\.)*)\](\([^)]*\)|\[[^\]]*\])/.exec(rest))) {
+            // Links: only the link text is prose
+            const contentStart = i + 1
+            const contentEnd = contentStart + match[1].length
+
+            flush(i)
+            builder.addWrapper(i, contentStart, contentEnd, i + match[0].length)
+            parseMarkdownInline(source, contentStart, contentEnd, builder)
+            i += match[0].length
+            textStart = i
+
+        } else if (char == "<" && (match = /^<((?:https?|mailto|ftp):[^\s<>]*|[^\s<>@]+@[^\s<>@]+)>/i.exec(rest))) {
+            // Autolinks: protected
+            flush(i)
+            builder.addWrapper(i, i + 1, i + 1 + match[1].length, i + match[0].length)
+            builder.addText(i + 1, i + 1 + match[1].length, true)
+            i += match[0].length
+            textStart = i
+
+        } else if (char == "<" && (match = /^<!--[^]*?-->/.exec(rest) || HTML_TAG_PATTERN.exec(rest))) {
+            // Inline HTML
+            flush(i)
+            i += match[0].length
+            textStart = i
+
+        } else if ((char == "*" || char == "_" || char == "~") && (match = matchEmphasis(source, i, end))) {
+            flush(i)
+            builder.addWrapper(i, match.contentStart, match.contentEnd, match.end)
+            parseMarkdownInline(source, match.contentStart, match.contentEnd, builder)
+            i = match.end
+            textStart = i
+
+        } else if ((char == "h" || char == "w" || char == "H" || char == "W") && !/\w/.test(source[i - 1] || "") && (match = URL_PATTERN.exec(rest))) {
+            // Bare URLs: protected
+            flush(i)
+            builder.addText(i, i + match[0].length, true)
+            i += match[0].length
+            textStart = i
+
+        } else if (char == "&" && (match = ENTITY_PATTERN.exec(rest)) && decodeEntity(match[1]) != null) {
+            flush(i)
+            builder.addAtomic(i, i + match[0].length, decodeEntity(match[1]))
+            i += match[0].length
+            textStart = i
+
+        } else {
+            i += 1
+        }
+    }
+
+    flush(end)
+}
+
+/**
+ * Find the emphasis (or strikethrough) opened at the given position.
+ *
+ * @param {string} source               The Markdown source
+ * @param {number} start                Position of the opening delimiter run
+ * @param {number} end                  End of the inline span
+ *
+ * @return {Object}                     { contentStart, contentEnd, end }, or null if the delimiters are literal text
+ */
+function matchEmphasis(source, start, end) {
+    const char = source[start]
+
+    var length = 0
+
+    while (source[start + length] == char) {
+        length += 1
+    }
+
+    const contentStart = start + length
+
+    // Strikethrough takes two "~", emphasis can't be followed by whitespace, and "_" doesn't work within words
+    if ((char == "~" && length != 2) || /\s/.test(source[contentStart] || " ") || (char == "_" && /\w/.test(source[start - 1] || ""))) {
+        return null
+    }
+
+    const delimiter = source.substr(start, length)
+
+    for (var i = contentStart + 1; i + length <= end; i++) {
+        if (source.substr(i, length) == delimiter && source[i + length] != char && source[i - 1] != char &&
+            !/\s/.test(source[i - 1]) && !(char == "_" && /\w/.test(source[i + length] || ""))) {
+            return {
+                contentStart: contentStart,
+                contentEnd: i,
+                end: i + length
+            }
+        }
     }
 
-    // Failed to replace for unknown reason
-    return tokens
+    return null
 }
 
 /**
- * Update the "isAvailable" status of every transformation in the same "group"
- * as the parameter transform in the sentence.
+ * Extract the prose of an HTML document.
+ *
+ * Scripts, styles, preformatted text and other non-prose elements are skipped, and the content of code elements
+ * and URLs are protected. Attributes are never prose.
+ *
+ * @param {string} source               The HTML source
  *
- * When a transformation is accepted, rejected, or undone, we only want to refresh
- * the status of transformations that potentially overlap/are affected. In "setMetaData",
- * we grouped all transformations that overlapped together, so we can just use that cache here.
+ * @return {Object}                     Markup: { format, source, text, segments, wrappers, protectedText }
+ */
+function extractHtml(source) {
+    const builder = createProseBuilder(source)
+    const openElements = []
+
+    var i = 0
+
+    while (i < source.length) {
+        const rest = source.substring(i)
+        var match
+
+        if (rest.startsWith("<!--")) {
+            const close = source.indexOf("-->", i + 4)
+            i = close == -1 ? source.length : close + 3
+
+        } else if (/^<[!?]/.test(rest)) {
+            const close = source.indexOf(">", i)
+            i = close == -1 ? source.length : close + 1
+
+        } else if ((match = HTML_TAG_PATTERN.exec(rest))) {
+            const closing = match[1] == "/"
+            const name = match[2].toLowerCase()
+            const tagEnd = i + match[0].length
+
+            if (HTML_BLOCK_ELEMENTS.indexOf(name) != -1) {
+                builder.addBreak(BLOCK_SEPARATOR)
+            } else if (name == "br") {
+                builder.addBreak(LINE_SEPARATOR)
+            }
+
+            if (!closing && HTML_SKIPPED_ELEMENTS.indexOf(name) != -1 && !/\/>$/.test(match[0])) {
+                const closeTag = new RegExp("</" + name + "\\s*>", "i").exec(source.substring(tagEnd))
+
+                i = closeTag ? tagEnd + closeTag.index + closeTag[0].length : source.length
+                builder.addBreak(BLOCK_SEPARATOR)
+                continue
+            }
+
+            if (closing) {
+                // Close the innermost open element of that name (and anything left open inside it)
+                for (var j = openElements.length - 1; j >= 0; j--) {
+                    if (openElements[j].name == name) {
+                        const element = openElements[j]
+
+                        builder.addWrapper(element.start, element.contentStart, i, tagEnd)
+
+                        if (HTML_PROTECTED_ELEMENTS.indexOf(name) != -1) {
+                            builder.protect(element.proseStart)
+                        }
+
+                        openElements.splice(j)
+                        break
+                    }
+                }
+            } else if (HTML_VOID_ELEMENTS.indexOf(name) == -1 && HTML_BLOCK_ELEMENTS.indexOf(name) == -1 && !/\/>$/.test(match[0])) {
+                openElements.push({
+                    name: name,
+                    start: i,
+                    contentStart: tagEnd,
+                    proseStart: builder.text.length
+                })
+            }
+
+            i = tagEnd
+
+        } else if (source[i] == "&" && (match = ENTITY_PATTERN.exec(rest)) && decodeEntity(match[1]) != null) {
+            builder.addAtomic(i, i + match[0].length, decodeEntity(match[1]))
+            i += match[0].length
+
+        } else {
+            // Text, up to the next tag or entity
+            var textEnd = i + 1
+
+            while (textEnd < source.length && source[textEnd] != "<" && source[textEnd] != "&") {
+                textEnd += 1
+            }
+
+            addHtmlText(source, i, textEnd, builder)
+            i = textEnd
+        }
+    }
+
+    return builder.build(MARKUP_HTML)
+}
+
+// Add HTML text to the builder, protecting URLs
+function addHtmlText(source, start, end, builder) {
+    const text = source.substring(start, end)
+    const urlPattern = new RegExp(URL_PATTERN.source.substring(1), "gi")
+
+    var position = 0
+    var match
+
+    while ((match = urlPattern.exec(text))) {
+        if (/\w/.test(text[match.index - 1] || "")) {
+            continue
+        }
+
+        builder.addText(start + position, start + match.index)
+        builder.addText(start + match.index, start + match.index + match[0].length, true)
+        position = match.index + match[0].length
+    }
+
+    builder.addText(start + position, end)
+}
+
+/**
+ * Decode an HTML entity (the part between "&" and ";").
  *
+ * @param {string} entity               The entity name or number (ex. "amp", "#39", "#x27")
  *
- * @param {Object} sentence        The sentence that the transformation is in
- * @param {Object} transform       The transformation whose overlapping group will be refreshed
+ * @return {string}                     The decoded text, or null if the entity is unknown
  */
-function updateTokenGroup(sentence, transform) {
-    // Cached list of all transformations that overlap
-    const tokenGroup = sentence.groups[transform.groupId]
+function decodeEntity(entity) {
+    if (entity[0] == "#") {
+        const code = entity[1] == "x" || entity[1] == "X" ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10)
 
-    // Set isAvailable status of all overlapping transformations
-    setIsAvailable(tokenGroup, sentence)
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null
+    }
+
+    return NAMED_ENTITIES.hasOwnProperty(entity) ? NAMED_ENTITIES[entity] : null
 }
 
+/**
+ * Add protected text to job options.
+ *
+ * @param {Object} [options]            Job options
+ * @param {Array} protectedText         Text the API should leave untouched
+ *
+ * @return {Object}                     A copy of the options including the protected text
+ */
+function withProtectedText(options, protectedText) {
+    const merged = Object.assign({}, options)
+    const existing = merged[PROTECTED_TEXT_OPTION] || []
+
+    merged[PROTECTED_TEXT_OPTION] = existing.concat(protectedText.filter(function(text) {
+        return existing.indexOf(text) == -1
+    }))
+
+    return merged
+}
 
 /**
- * Utility to "make" a transformation (accept it).
+ * Map a prose offset to the source.
  *
- * This involves swapping the tokensAdded in for the tokensAffected (if the transform has a replacement),
- * and refreshing the "isAvailable" status of all tokens in the same overlapping group.
+ * @param {Object} markup               Markup (see extractMarkdown/extractHtml)
+ * @param {number} offset               Offset in the prose
+ * @param {boolean} [isEnd=false]       The offset ends a range (prefer the end of the preceding segment)
  *
- * Note that "canMakeTransform" should generally be called before this.
+ * @return {number}                     Offset in the source
+ */
+function toSourceOffset(markup, offset, isEnd) {
+    const segments = markup.segments
+
+    for (var i = 0; i < segments.length; i++) {
+        const segment = segments[i]
+
+        if (offset < segment.proseStart || (offset == segment.proseStart && isEnd && i > 0 && segments[i - 1].proseEnd == offset)) {
+            return isEnd && i > 0 ? segments[i - 1].sourceEnd : segment.sourceStart
+        }
+
+        if (offset < segment.proseEnd || (offset == segment.proseEnd && isEnd)) {
+            if (segment.atomic) {
+                return offset == segment.proseStart ? segment.sourceStart : segment.sourceEnd
+            }
+
+            return segment.sourceStart + offset - segment.proseStart
+        }
+    }
+
+    return segments.length ? segments[segments.length - 1].sourceEnd : 0
+}
+
+/**
+ * Rewrite the source with edits made to the prose.
  *
+ * @param {Object} markup               Markup (see extractMarkdown/extractHtml)
+ * @param {Array} edits                 Prose edits: { start, end, text }, in order and not overlapping
  *
- * @param {Object} sentence        The sentence that the transformation is in
- * @param {Object} transform       The transformation to accept
+ * @return {string}                     The rewritten source
  */
-function makeTransform(sentence, transform) {
-    if (transform.hasReplacement) {
-        sentence.activeTokens = replaceTokens(sentence.activeTokens, transform.tokensAffected, transform.tokensAdded)
+function rewriteSource(markup, edits) {
+    return applySourceEdits(markup.source, getSourceEdits(markup, edits))
+}
 
-        // update isAvailable status of all overlapping transformations
-        updateTokenGroup(sentence, transform)
+/**
+ * Convert edits made to the prose into edits of the source.
+ *
+ * Markup between the edited prose characters is kept: an edit spanning several segments places its new
+ * text in the first one, and removes the edited text of the others.
+ *
+ * @param {Object} markup               Markup (see extractMarkdown/extractHtml)
+ * @param {Array} edits                 Prose edits: { start, end, text }, in order and not overlapping
+ *
+ * @return {Array}                      Source edits: { start, end, text }, sorted
+ */
+function getSourceEdits(markup, edits) {
+    const encode = markup.format == MARKUP_HTML ? escapeHtml : function(text) {
+        return text
     }
 
-    // Explicity set, since transformations with hasReplacement = false will technically still be executable
-    transform.isAvailable = false
+    const sourceEdits = []
+
+    edits.forEach(function(edit) {
+        const overlapping = markup.segments.filter(function(segment) {
+            return segment.proseStart < edit.end && segment.proseEnd > edit.start
+        })
+
+        if (overlapping.length == 0) {
+            if (edit.text) {
+                const position = toSourceOffset(markup, edit.start, edit.start > 0)
+
+                sourceEdits.push({
+                    start: position,
+                    end: position,
+                    text: encode(edit.text)
+                })
+            }
+            return
+        }
+
+        overlapping.forEach(function(segment, index) {
+            const from = Math.max(edit.start, segment.proseStart) - segment.proseStart
+            const to = Math.min(edit.end, segment.proseEnd) - segment.proseStart
+            const text = index == 0 ? edit.text : ""
+
+            if (segment.atomic) {
+                const prose = markup.text.substring(segment.proseStart, segment.proseEnd)
+
+                sourceEdits.push({
+                    start: segment.sourceStart,
+                    end: segment.sourceEnd,
+                    text: encode(prose.substring(0, from) + text + prose.substring(to))
+                })
+            } else {
+                sourceEdits.push({
+                    start: segment.sourceStart + from,
+                    end: segment.sourceStart + to,
+                    text: encode(text)
+                })
+            }
+        })
+    })
+
+    // Inline elements left without content (ex. "****" once a bolded word is removed) are removed entirely.
+    // Innermost elements go first, so that removing them can empty the elements around them.
+    markup.wrappers.slice().sort(function(a, b) {
+        return (a.end - a.start) - (b.end - b.start)
+    }).forEach(function(wrapper) {
+        const content = sourceEdits.filter(function(edit) {
+            return edit.end > wrapper.contentStart && edit.start < wrapper.contentEnd
+        }).sort(function(a, b) {
+            return a.start - b.start
+        })
+
+        if (content.length == 0 || content.some(function(edit) {
+                return edit.text
+            })) {
+            return
+        }
+
+        const covered = content.reduce(function(position, edit) {
+            return edit.start <= position ? Math.max(position, edit.end) : position
+        }, wrapper.contentStart)
+
+        if (covered >= wrapper.contentEnd) {
+            sourceEdits.push({
+                start: wrapper.start,
+                end: wrapper.contentStart,
+                text: ""
+            }, {
+                start: wrapper.contentEnd,
+                end: wrapper.end,
+                text: ""
+            })
+        }
+    })
+
+    return sourceEdits.sort(function(a, b) {
+        return a.start - b.start || a.end - b.end
+    })
 }
 
 /**
- * Utility to "undo" a transformation.
+ * Apply sorted, non-overlapping edits to a text.
  *
- * This involves swapping the tokensAffected in for the tokensAdded (if the transform has a replacement),
- * and refreshing the "isAvailable" status of all tokens in the same overlapping group.
+ * @param {string} text                 The text
+ * @param {Array} edits                 Edits: { start, end, text }, sorted
  *
- * Note that "canUndoTransform" should generally be called before this.
+ * @return {string}                     The edited text
+ */
+function applySourceEdits(text, edits) {
+    var result = ""
+    var position = 0
+
+    edits.forEach(function(edit) {
+        const start = Math.max(edit.start, position)
+
+        result += text.substring(position, start) + edit.text
+        position = Math.max(position, edit.end)
+    })
+
+    return result + text.substring(position)
+}
+
+/**
+ * Get the smallest edit turning one text into another (common prefix and suffix removed).
  *
+ * @param {number} start                Offset of the replaced text
+ * @param {string} deleted              The replaced text
+ * @param {string} inserted             The new text
  *
- * @param {Object} sentence        The sentence that the transformation is in
- * @param {Object} transform       The transformation to undo
+ * @return {Object}                     { start, end, text }
  */
-function undoTransform(sentence, transform) {
+function trimEdit(start, deleted, inserted) {
+    var prefix = 0
+    var suffix = 0
+
+    while (prefix < deleted.length && prefix < inserted.length && deleted[prefix] == inserted[prefix]) {
+        prefix += 1
+    }
+
+    while (suffix < deleted.length - prefix && suffix < inserted.length - prefix &&
+        deleted[deleted.length - 1 - suffix] == inserted[inserted.length - 1 - suffix]) {
+        suffix += 1
+    }
+
+    return {
+        start: start + prefix,
+        end: start + deleted.length - suffix,
+        text: inserted.substring(prefix, inserted.length - suffix)
+    }
+}
+
+/*********************************************************************
+                        Protected Text Detection
+**********************************************************************/
+
+/*
+    Opt-in detection of text the API should leave untouched (URLs, emails, code identifiers, ...).
 
-    if (transform.hasReplacement) {
-        sentence.activeTokens = replaceTokens(sentence.activeTokens, transform.tokensAdded, transform.tokensAffected)
+    A detector is configured with:
 
-        // update isAvailable status of all overlapping transformations
-        updateTokenGroup(sentence, transform)
+        true                                Every default pattern
+        {
+            urls: false,                    Disable a default pattern
+            patterns: { ticket: /[A-Z]+-\d+/ },  Add patterns (or replace a default one, by name)
+            glossary: ["Perfect Tense"]     Terms protected wherever they appear (as whole words)
+        }
+*/
+
+const DEFAULT_PROTECTED_PATTERNS = {
+    urls: new RegExp(URL_PATTERN.source.substring(1), "i"),
+    emails: /[\w.+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+/i,
+    identifiers: /\b(?:[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(\)|[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+|[A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)+)/,
+    mentions: /(?<![\w@.])@[A-Za-z0-9_](?:[\w.-]*\w)?/,
+    hashtags: /(?<![\w&#])#[A-Za-z][\w-]*\w|(?<![\w&#])#[A-Za-z]/,
+    placeholders: /\{\{[^{}]*\}\}|\{%[^%]*%\}|\$\{[^{}]*\}/
+}
+
+/**
+ * Build a protected text detector from user configuration.
+ *
+ * @param {Object|boolean} [config]     true for the default patterns, or an object (see above). Falsy disables detection
+ *
+ * @return {Object}                     The detector ({ patterns, glossary }), or null if detection is disabled
+ */
+function createProtectedTextDetector(config) {
+    if (!config) {
+        return null
     }
 
-    transform.isAvailable = true
+    config = config === true ? {} : config
+
+    const sources = Object.assign({}, DEFAULT_PROTECTED_PATTERNS, config.patterns)
+
+    const patterns = Object.keys(sources).filter(function(name) {
+        return config[name] !== false && sources[name]
+    }).map(function(name) {
+        const pattern = sources[name]
+
+        // Patterns can be given as strings (ex. read from a JSON config file)
+        return {
+            name: name,
+            pattern: pattern instanceof RegExp ?
+                new RegExp(pattern.source, pattern.flags.replace("g", "") + "g") : new RegExp(pattern, "g")
+        }
+    })
+
+    return {
+        patterns: patterns,
+        glossary: (config.glossary || []).filter(function(term) {
+            return term
+        })
+    }
 }
 
 /**
- * Utility used during setMetaData to update the active tokens if the recovered transformation was accepted.
+ * Find the protected text in a text.
+ *
+ * Where matches overlap (ex. "bob_1" within "@bob_1"), only the longest one is kept.
  *
- * Updates the active working set of tokens for the sentence.
+ * @param {string} text                 The text
+ * @param {Object} detector             The detector (see createProtectedTextDetector)
  *
- * @param {Object} sentence        The sentence that the transformation is in
- * @param {Object} transform       The transformation to accept
+ * @return {Array}                      The protected strings, in order of appearance and without duplicates
  */
-function updateActiveTokens(sentence, transform) {
-    if (transform.hasReplacement && pt.isAccepted(transform)) {
-        sentence.activeTokens = replaceTokens(sentence.activeTokens, transform.tokensAffected, transform.tokensAdded)
+function detectProtectedText(text, detector) {
+    const found = []
+
+    detector.glossary.forEach(function(term) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+        collectMatches(text, new RegExp("(?<!\\w)" + escaped + "(?!\\w)", "g"), found)
+    })
+
+    detector.patterns.forEach(function(entry) {
+        entry.pattern.lastIndex = 0
+        collectMatches(text, entry.pattern, found)
+    })
+
+    var coveredUntil = 0
+
+    return found.sort(function(a, b) {
+        return a.index - b.index || b.text.length - a.text.length
+    }).filter(function(match) {
+        if (match.index < coveredUntil) {
+            return false
+        }
+
+        coveredUntil = match.index + match.text.length
+        return true
+    }).map(function(match) {
+        return match.text
+    }).filter(function(match, index, all) {
+        return all.indexOf(match) == index
+    })
+}
+
+// Push every (non-empty) match of a global pattern as { index, text }
+function collectMatches(text, pattern, found) {
+    var match
+
+    while ((match = pattern.exec(text))) {
+        if (match[0].length == 0) {
+            pattern.lastIndex += 1
+            continue
+        }
+
+        found.push({
+            index: match.index,
+            text: match[0]
+        })
     }
-}
\ No newline at end of file
+}
+
+/*********************************************************************
+                            Exporters
+**********************************************************************/
+
+/*
+    Exporters turn "findings" (see getFindings) into formats understood by editors and CI tools.
+
+    A finding is an open (clean) transformation located in the original text (or in the Markdown/HTML source,
+    for jobs submitted with submitMarkdown/submitHtml):
+
+        { transform, ruleId, message, isSuggestion, start, end, range, replacement }
+
+    "start"/"end" are character offsets in the original text, "range" is the LSP-style range
+    ({ start: { line, character }, end: { line, character } }, 0-based) and "replacement" is the
+    text to substitute for the range (null if the transformation is only a comment).
+*/
+
+const FINDING_SOURCE = "Perfect Tense"
+const DEFAULT_FINDING_MESSAGE = "Perfect Tense correction"
+
+// LSP DiagnosticSeverity
+const LSP_SEVERITY_WARNING = 2
+const LSP_SEVERITY_INFORMATION = 3
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json"
+const SARIF_VERSION = "2.1.0"
+
+/**
+ * Normalize exporter input to an array of { data, uri } (a single result can be exported on its own).
+ *
+ * @param {Object|Array} files          A job result, or an array of { data, uri }
+ * @param {string} [uri]                The document uri when exporting a single job result
+ *
+ * @return {Array}                      Array of { data, uri }
+ */
+function toFileList(files, uri) {
+    return Array.isArray(files) ? files : [{
+        data: files,
+        uri: uri
+    }]
+}
+
+/**
+ * Convert findings into LSP Diagnostics.
+ *
+ * @param {Array} findings              Findings (see getFindings)
+ *
+ * @return {Array}                      Diagnostic[]
+ */
+function findingsToLspDiagnostics(findings) {
+    return findings.map(function(finding) {
+        return {
+            range: finding.range,
+            severity: finding.isSuggestion ? LSP_SEVERITY_INFORMATION : LSP_SEVERITY_WARNING,
+            code: finding.ruleId,
+            source: FINDING_SOURCE,
+            message: finding.message,
+            data: {
+                transformIndex: finding.transform.transformIndex
+            }
+        }
+    })
+}
+
+/**
+ * Convert findings into LSP CodeAction quick-fixes (one per finding that has a replacement).
+ *
+ * @param {Array} findings              Findings (see getFindings)
+ * @param {string} uri                  The document uri
+ *
+ * @return {Array}                      CodeAction[]
+ */
+function findingsToLspCodeActions(findings, uri) {
+    const diagnostics = findingsToLspDiagnostics(findings)
+
+    return findings.reduce(function(actions, finding, index) {
+        if (finding.replacement == null) {
+            return actions
+        }
+
+        const changes = {}
+
+        changes[uri] = [{
+            range: finding.range,
+            newText: finding.replacement
+        }]
+
+        actions.push({
+            title: "Replace with \"" + finding.replacement.trim() + "\"",
+            kind: "quickfix",
+            diagnostics: [diagnostics[index]],
+            isPreferred: !finding.isSuggestion,
+            edit: {
+                changes: changes
+            }
+        })
+
+        return actions
+    }, [])
+}
+
+/**
+ * Convert findings of several files into a SARIF 2.1.0 log.
+ *
+ * @param {Array} files                 Array of { uri, findings }
+ * @param {string} toolVersion          Version reported for the tool
+ *
+ * @return {Object}                     SARIF log
+ */
+function findingsToSarif(files, toolVersion) {
+    const rules = {}
+    const results = []
+
+    files.forEach(function(file) {
+        file.findings.forEach(function(finding) {
+            const ruleId = String(finding.ruleId != undefined ? finding.ruleId : "perfecttense")
+
+            rules[ruleId] = rules[ruleId] || {
+                id: ruleId,
+                shortDescription: {
+                    text: finding.message
+                }
+            }
+
+            const location = {
+                physicalLocation: {
+                    artifactLocation: {
+                        uri: file.uri
+                    },
+                    region: toSarifRegion(finding)
+                }
+            }
+
+            const result = {
+                ruleId: ruleId,
+                level: finding.isSuggestion ? "note" : "warning",
+                message: {
+                    text: finding.message
+                },
+                locations: [location]
+            }
+
+            if (finding.replacement != null) {
+                result.fixes = [{
+                    description: {
+                        text: "Replace with \"" + finding.replacement.trim() + "\""
+                    },
+                    artifactChanges: [{
+                        artifactLocation: location.physicalLocation.artifactLocation,
+                        replacements: [{
+                            deletedRegion: toSarifRegion(finding),
+                            insertedContent: {
+                                text: finding.replacement
+                            }
+                        }]
+                    }]
+                }]
+            }
+
+            results.push(result)
+        })
+    })
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: FINDING_SOURCE,
+                    version: toolVersion,
+                    informationUri: "https://www.perfecttense.com",
+                    rules: Object.keys(rules).map(function(ruleId) {
+                        return rules[ruleId]
+                    })
+                }
+            },
+            results: results
+        }]
+    }
+}
+
+/**
+ * Get the SARIF region (1-based lines and columns, end column exclusive) of a finding.
+ *
+ * @param {Object} finding              The finding
+ *
+ * @return {Object}                     SARIF region
+ */
+function toSarifRegion(finding) {
+    return {
+        startLine: finding.range.start.line + 1,
+        startColumn: finding.range.start.character + 1,
+        endLine: finding.range.end.line + 1,
+        endColumn: finding.range.end.character + 1,
+        charOffset: finding.start,
+        charLength: finding.end - finding.start
+    }
+}
+
+/**
+ * Convert findings of several files into Checkstyle XML.
+ *
+ * @param {Array} files                 Array of { uri, findings }
+ *
+ * @return {string}                     Checkstyle XML document
+ */
+function findingsToCheckstyle(files) {
+    const lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<checkstyle version=\"4.3\">"]
+
+    files.forEach(function(file) {
+        lines.push("  <file name=\"" + escapeHtml(String(file.uri)) + "\">")
+
+        file.findings.forEach(function(finding) {
+            const message = finding.replacement != null ?
+                finding.message + " (replace with \"" + finding.replacement.trim() + "\")" :
+                finding.message
+
+            lines.push("    <error" +
+                " line=\"" + (finding.range.start.line + 1) + "\"" +
+                " column=\"" + (finding.range.start.character + 1) + "\"" +
+                " severity=\"" + (finding.isSuggestion ? "info" : "warning") + "\"" +
+                " message=\"" + escapeHtml(message) + "\"" +
+                " source=\"perfecttense." + escapeHtml(String(finding.ruleId != undefined ? finding.ruleId : "correction")) + "\"" +
+                "/>")
+        })
+
+        lines.push("  </file>")
+    })
+
+    lines.push("</checkstyle>")
+
+    return lines.join("\n") + "\n"
+}
+
+/**
+ * Build an index of line start offsets, used to convert character offsets to line/column positions.
+ *
+ * @param {string} text                 The text to index
+ *
+ * @return {Array}                      Offsets at which each line starts
+ */
+function getLineStarts(text) {
+    const lineStarts = [0]
+
+    for (var i = 0; i < text.length; i++) {
+        if (text[i] == "\n") {
+            lineStarts.push(i + 1)
+        }
+    }
+
+    return lineStarts
+}
+
+/**
+ * Convert a character offset into a (0-based) line/character position.
+ *
+ * @param {Array} lineStarts            Line start offsets (see getLineStarts)
+ * @param {number} offset               The character offset
+ *
+ * @return {Object}                     { line, character }
+ */
+function offsetToPosition(lineStarts, offset) {
+    var low = 0
+    var high = lineStarts.length - 1
+
+    // Binary search for the last line starting at or before the offset
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2)
+
+        if (lineStarts[mid] <= offset) {
+            low = mid
+        } else {
+            high = mid - 1
+        }
+    }
+
+    return {
+        line: low,
+        character: offset - lineStarts[low]
+    }
+}
+
+/*********************************************************************
+                            Events
+**********************************************************************/
+
+/**
+ * Create a minimal event emitter.
+ *
+ * @return {Object}                     Emitter with on/off/emit functions
+ */
+function createEmitter() {
+    const handlers = {}
+
+    return {
+
+        // Register a handler for the event. Returns a function that removes the handler.
+        on: function(event, handler) {
+            handlers[event] = (handlers[event] || []).concat([handler])
+
+            return function() {
+                handlers[event] = (handlers[event] || []).filter(function(h) {
+                    return h !== handler
+                })
+            }
+        },
+
+        // Remove a previously registered handler
+        off: function(event, handler) {
+            handlers[event] = (handlers[event] || []).filter(function(h) {
+                return h !== handler
+            })
+        },
+
+        // Returns true if at least one handler is registered (for any event)
+        hasListeners: function() {
+            return Object.keys(handlers).some(function(event) {
+                return handlers[event].length > 0
+            })
+        },
+
+        // Call all handlers registered for the event with the payload
+        emit: function(event, payload) {
+            (handlers[event] || []).forEach(function(handler) {
+                handler(payload)
+            })
+        }
+    }
+}
+
+/*********************************************************************
+                            Token Index
+**********************************************************************/
+
+/*
+    Token arrays (a sentence's originalSentence/activeTokens, a transformation's tokens) are looked up by
+    token id constantly. Each array gets an index, built the first time it is needed:
+
+        positions:          Map of token id -> position in the array
+        length, newlines:   Length and number of newlines of the array's text
+        offsets:            Map of token id -> character offset (built the first time an offset is needed)
+
+    A sentence's active tokens are replaced in place when a transformation is accepted or undone (see replaceTokens),
+    and updateTokenIndex updates their index along with them: only the tokens after the replaced ones move, so
+    accepting or undoing a transformation doesn't re-index the whole sentence. Other token arrays are never modified.
+
+    Short arrays (most sentences) are scanned instead of being indexed for lookups and measures: building the
+    maps costs more than the few scans made on them.
+*/
+const tokenIndexes = new WeakMap()
+
+// Token arrays shorter than this are scanned rather than indexed
+const MIN_INDEXED_TOKENS = 64
+
+// Returns true if lookups in the token array should scan it rather than use an index
+function isScanned(tokens) {
+    return tokens.length < MIN_INDEXED_TOKENS
+}
+
+/**
+ * Get the position of the first token with the same id as the token.
+ *
+ * @param {Array} tokens                The token array
+ * @param {Object} token                The token to look for (by id)
+ *
+ * @return {number}                     Position of the token, or -1 if it is not in the array
+ */
+function findTokenPosition(tokens, token) {
+    if (!isScanned(tokens)) {
+        const position = getTokenIndex(tokens).positions.get(token.id)
+
+        return position == undefined ? -1 : position
+    }
+
+    return tokens.findIndex(function(t) {
+        return t.id === token.id
+    })
+}
+
+/**
+ * Measure the text of a token array.
+ *
+ * @param {Array} tokens                The token array
+ *
+ * @return {Object}                     { length, newlines }
+ */
+function measureTokens(tokens) {
+    if (!isScanned(tokens)) {
+        const index = getTokenIndex(tokens)
+
+        return {
+            length: index.length,
+            newlines: index.newlines
+        }
+    }
+
+    const measures = {
+        length: 0,
+        newlines: 0
+    }
+
+    tokens.forEach(function(token) {
+        measureToken(measures, token, 1)
+    })
+
+    return measures
+}
+
+/**
+ * Get the (cached) index of a token array.
+ *
+ * @param {Array} tokens                The token array
+ *
+ * @return {Object}                     { positions, length, newlines, offsets }
+ */
+function getTokenIndex(tokens) {
+    var index = tokenIndexes.get(tokens)
+
+    if (!index) {
+        index = {
+            positions: new Map(),
+            length: 0,
+            newlines: 0,
+            offsets: null,
+
+            // Ids are unique in results, but an index with duplicates is never updated (see updateTokenIndex)
+            unique: true
+        }
+
+        tokens.forEach(function(token, position) {
+            measureToken(index, token, 1)
+
+            if (index.positions.has(token.id)) {
+                index.unique = false
+            } else {
+                index.positions.set(token.id, position)
+            }
+        })
+
+        tokenIndexes.set(tokens, index)
+    }
+
+    return index
+}
+
+/**
+ * Get the character offset of a token in a token array.
+ *
+ * @param {Array} tokens                The token array
+ * @param {Object} token                The token to look for (by id)
+ *
+ * @return {number}                     Character offset of the token, or -1 if it is not in the array
+ */
+function getTokenOffset(tokens, token) {
+    if (isScanned(tokens)) {
+        var scanned = 0
+
+        for (var position = 0; position < tokens.length; position++) {
+            if (tokens[position].id === token.id) {
+                return scanned
+            }
+
+            scanned += (tokens[position].value + tokens[position].after).length
+        }
+
+        return -1
+    }
+
+    const index = getTokenIndex(tokens)
+
+    if (!index.offsets) {
+        const offsets = new Map()
+
+        var offset = 0
+
+        tokens.forEach(function(token) {
+            if (!offsets.has(token.id)) {
+                offsets.set(token.id, offset)
+            }
+
+            offset += (token.value + token.after).length
+        })
+
+        index.offsets = offsets
+    }
+
+    const tokenOffset = index.offsets.get(token.id)
+
+    return tokenOffset == undefined ? -1 : tokenOffset
+}
+
+/**
+ * Update the index of a token array whose "removed" tokens were just replaced in place by the "added" tokens.
+ *
+ * @param {Array} tokens                The token array (already modified)
+ * @param {number} start                Position of the first added token
+ * @param {Array} removed               The removed tokens
+ * @param {Array} added                 The tokens added in their place
+ */
+function updateTokenIndex(tokens, start, removed, added) {
+    const index = tokenIndexes.get(tokens)
+
+    if (!index) {
+        return
+    }
+
+    removed.forEach(function(token) {
+        measureToken(index, token, -1)
+        index.positions.delete(token.id)
+    })
+
+    const positioned = index.unique && added.every(function(token, position) {
+        if (index.positions.has(token.id)) {
+            return false
+        }
+
+        measureToken(index, token, 1)
+        index.positions.set(token.id, start + position)
+        return true
+    })
+
+    // Duplicate ids: leave the array to be indexed from scratch
+    if (!positioned) {
+        tokenIndexes.delete(tokens)
+        return
+    }
+
+    if (added.length != removed.length) {
+        for (var position = start + added.length; position < tokens.length; position++) {
+            index.positions.set(tokens[position].id, position)
+        }
+    }
+
+    index.offsets = null
+}
+
+/**
+ * Copy a token array, moving its index (if any) to the copy.
+ *
+ * @param {Array} tokens                The token array
+ *
+ * @return {Array}                      The copy
+ */
+function copyTokens(tokens) {
+    const copy = tokens.slice()
+    const index = tokenIndexes.get(tokens)
+
+    if (index) {
+        tokenIndexes.delete(tokens)
+        tokenIndexes.set(copy, index)
+    }
+
+    return copy
+}
+
+// Add (sign = 1) or remove (sign = -1) the text of a token from the measures of an index
+function measureToken(index, token, sign) {
+    const text = token.value + token.after
+
+    index.length += sign * text.length
+    index.newlines += sign * countNewlines(text)
+}
+
+/**
+ * Create a scratch copy of a token array's links, for simulating a series of replacements without
+ * building a new array for each one (copying the links once, instead of the array after every replacement).
+ *
+ * @param {Array} tokens                The token array
+ *
+ * @return {Object}                     { has(tokens), replace(affected, added) }, with the semantics of
+ *                                      tokensArePresent and replaceTokens
+ */
+function createTokenOverlay(tokens) {
+    const present = new Set()
+    const next = new Map()
+    const prev = new Map()
+
+    tokens.forEach(function(token, position) {
+        if (present.has(token.id)) {
+            return
+        }
+
+        present.add(token.id)
+        next.set(token.id, position + 1 < tokens.length ? tokens[position + 1].id : null)
+
+        if (position > 0) {
+            prev.set(token.id, tokens[position - 1].id)
+        }
+    })
+
+    function has(tokens) {
+        return tokens.every(function(token, position) {
+            return present.has(token.id) && (position == 0 || next.get(tokens[position - 1].id) === token.id)
+        })
+    }
+
+    function replace(affected, added) {
+        if (affected.length == 0 || !has(affected)) {
+            return
+        }
+
+        const previous = prev.has(affected[0].id) ? prev.get(affected[0].id) : null
+        const following = next.get(affected[affected.length - 1].id)
+        const ids = [previous].concat(added.map(function(token) {
+            return token.id
+        }), [following])
+
+        affected.forEach(function(token) {
+            present.delete(token.id)
+            next.delete(token.id)
+            prev.delete(token.id)
+        })
+
+        if (following != null) {
+            prev.delete(following)
+        }
+
+        added.forEach(function(token) {
+            present.add(token.id)
+        })
+
+        // Link previous -> added... -> following, skipping the ends that don't exist
+        ids.forEach(function(id, position) {
+            if (position + 1 < ids.length && id != null) {
+                next.set(id, ids[position + 1])
+            }
+
+            if (position > 0 && id != null && ids[position - 1] != null) {
+                prev.set(id, ids[position - 1])
+            }
+        })
+    }
+
+    return {
+        has: has,
+        replace: replace
+    }
+}
+
+/*********************************************************************
+                            Position Index
+**********************************************************************/
+
+/**
+ * Create a Fenwick (binary indexed) tree: prefix sums that can be updated in O(log n).
+ *
+ * @param {Array} values                Initial values
+ *
+ * @return {Object}                     { set(index, value), prefix(index), find(target) }
+ */
+function createFenwickTree(values) {
+    const size = values.length
+    const tree = new Array(size + 1).fill(0)
+    const current = values.slice()
+
+    values.forEach(function(value, index) {
+        add(index, value)
+    })
+
+    function add(index, delta) {
+        for (var i = index + 1; i <= size; i += i & -i) {
+            tree[i] += delta
+        }
+    }
+
+    return {
+        // Set the value at the index
+        set: function(index, value) {
+            add(index, value - current[index])
+            current[index] = value
+        },
+
+        // Sum of the values before the index
+        prefix: function(index) {
+            var sum = 0
+
+            for (var i = index; i > 0; i -= i & -i) {
+                sum += tree[i]
+            }
+
+            return sum
+        },
+
+        // Smallest index whose prefix sum (including itself) exceeds the target, or the size if there is none
+        find: function(target) {
+            var index = 0
+            var step = 1
+
+            while (step * 2 <= size) {
+                step *= 2
+            }
+
+            for (; step > 0; step = Math.floor(step / 2)) {
+                if (index + step <= size && tree[index + step] <= target) {
+                    index += step
+                    target -= tree[index]
+                }
+            }
+
+            return index
+        }
+    }
+}
+
+/**
+ * Create an index of sentence positions in a document, updated one sentence at a time.
+ *
+ * Offsets, line/column positions and the sentence at an offset are found in O(log n) (n being the number of sentences).
+ *
+ * Only the length and number of newlines of each sentence are kept: sentence texts are only needed (and
+ * requested from "getText") to find line/character positions. The index is built the first time it is used,
+ * so an editor that never looks up a position doesn't pay for it.
+ *
+ * @param {number} numSentences         Number of sentences
+ * @param {function} getText            Function returning the current text of a sentence, given its index
+ *
+ * @return {Object}                     Position index
+ */
+function createPositionIndex(numSentences, getText) {
+
+    // Fenwick trees of the sentence lengths and newline counts (null until the index is first used)
+    var lengths = null
+    var newlines = null
+
+    function build() {
+        if (lengths) {
+            return
+        }
+
+        const texts = []
+
+        for (var sentenceIndex = 0; sentenceIndex < numSentences; sentenceIndex++) {
+            texts.push(getText(sentenceIndex))
+        }
+
+        lengths = createFenwickTree(texts.map(function(text) {
+            return text.length
+        }))
+        newlines = createFenwickTree(texts.map(countNewlines))
+    }
+
+    const index = {
+
+        // Update the length and number of newlines of a sentence, given by measure() ({ length, newlines }), if the index is built
+        update: function(sentenceIndex, measure) {
+            if (lengths) {
+                const measures = measure()
+
+                lengths.set(sentenceIndex, measures.length)
+                newlines.set(sentenceIndex, measures.newlines)
+            }
+        },
+
+        // Character offset of the sentence
+        getOffset: function(sentenceIndex) {
+            build()
+            return lengths.prefix(sentenceIndex)
+        },
+
+        // Length of the document
+        getLength: function() {
+            build()
+            return lengths.prefix(numSentences)
+        },
+
+        // Index of the sentence containing the offset (the last sentence for the end of the document), or -1
+        findSentence: function(offset) {
+            if (offset < 0 || offset > index.getLength() || numSentences == 0) {
+                return -1
+            }
+
+            return Math.min(lengths.find(offset), numSentences - 1)
+        },
+
+        // Line/character (0-based) of an offset
+        getPosition: function(offset) {
+            const sentenceIndex = index.findSentence(offset)
+
+            if (sentenceIndex == -1) {
+                return null
+            }
+
+            const local = offset - index.getOffset(sentenceIndex)
+            const before = getText(sentenceIndex).substring(0, local)
+            const previousLines = newlines.prefix(sentenceIndex)
+            const lastNewline = before.lastIndexOf("\n")
+
+            if (lastNewline != -1) {
+                return {
+                    line: previousLines + countNewlines(before),
+                    character: local - lastNewline - 1
+                }
+            }
+
+            if (previousLines == 0) {
+                return {
+                    line: 0,
+                    character: offset
+                }
+            }
+
+            // The line starts after the last newline of an earlier sentence
+            const lineSentence = newlines.find(previousLines - 1)
+            const lineStart = index.getOffset(lineSentence) + getText(lineSentence).lastIndexOf("\n") + 1
+
+            return {
+                line: previousLines,
+                character: offset - lineStart
+            }
+        }
+    }
+
+    return index
+}
+
+function countNewlines(text) {
+    return text.indexOf("\n") == -1 ? 0 : text.split("\n").length - 1
+}
+
+/*********************************************************************
+                        Status Update Queue
+**********************************************************************/
+
+// Default number of times a status update is attempted before it is dropped
+const DEFAULT_MAX_UPDATE_ATTEMPTS = 3
+
+/**
+ * Create a queue for transformation status updates ("/updateStatus").
+ *
+ * Updates are sent one at a time and in order for each job, and failed updates are retried (this is
+ * the only retry layer for status updates: "send" should make a single attempt). Redundant updates are coalesced:
+ * if an update is still waiting to be sent when a newer update for the same transformation arrives,
+ * the older one is dropped, and if the newer update restores the transformation's previous status
+ * (ex. accept followed by undo), neither is sent.
+ *
+ * If the policy keeps failed updates ("keepFailed"), updates that are still failing for a transient reason
+ * (ex. the network is down) after the last attempt are set aside instead of dropped, so they can be
+ * stored and restored later.
+ *
+ * Emits "updateSent" ({ update }) after each successful update, and "updateFailed" ({ update, error, kept })
+ * when an update is dropped (or set aside) after failing. Errors thrown by handlers are ignored, so they
+ * can't stall the queue.
+ *
+ * @param {function} send               Function sending an update, returning a Promise
+ * @param {Object} emitter              Emitter used to report sent/failed updates
+ * @param {function} getPolicy          Function returning the current { retry, maxAttempts, keepFailed } (retry policy used
+ *                                      to compute delays between attempts, maximum attempts for each update, and
+ *                                      whether to set aside updates that fail for a transient reason)
+ * @param {function} [onChange]         Called every time the unsent updates change
+ *
+ * @return {Object}                     The update queue
+ */
+function createUpdateQueue(send, emitter, getPolicy, onChange) {
+
+    // jobId -> array of pending updates (the first one may be in flight)
+    const queues = {}
+
+    // Updates that failed for a transient reason, kept until they are restored
+    var keptUpdates = []
+
+    // Resolvers waiting for all queues to drain
+    var flushWaiters = []
+
+    function getKey(payload) {
+        return [payload.jobId, payload.sentenceIndex, payload.transformIndex].join(":")
+    }
+
+    function isIdle() {
+        return Object.keys(queues).length == 0
+    }
+
+    function notifyIfIdle() {
+        if (isIdle()) {
+            const waiters = flushWaiters
+            flushWaiters = []
+
+            waiters.forEach(function(resolve) {
+                resolve()
+            })
+        }
+    }
+
+    function notifyChange() {
+        if (onChange) {
+            onChange()
+        }
+    }
+
+    // Serializable copy of every update that has not been sent (pending first, then kept). API keys are left out.
+    function getEntries() {
+        const pending = [].concat.apply([], Object.keys(queues).map(function(jobId) {
+            return queues[jobId]
+        }))
+
+        return pending.concat(keptUpdates).map(function(update) {
+            return {
+                payload: update.payload,
+                previousStatus: update.previousStatus
+            }
+        })
+    }
+
+    // Emit an event without letting a throwing handler interrupt the queue
+    function report(event, payload) {
+        try {
+            emitter.emit(event, payload)
+        } catch (e) {}
+    }
+
+    function finish(jobId) {
+        queues[jobId].shift()
+        notifyChange()
+
+        if (queues[jobId].length == 0) {
+            delete queues[jobId]
+            notifyIfIdle()
+        } else {
+            processQueue(jobId)
+        }
+    }
+
+    function processQueue(jobId) {
+        const queue = queues[jobId]
+        const update = queue && queue[0]
+
+        if (!update || update.inFlight) {
+            return
+        }
+
+        update.inFlight = true
+        update.attempts += 1
+
+        send(update).then(function() {
+            report("updateSent", {
+                update: update.payload
+            })
+
+            finish(jobId)
+        }, function(error) {
+            const policy = getPolicy()
+
+            if (update.attempts < policy.maxAttempts && isRetryable(error)) {
+                return wait(getRetryDelay(error, update.attempts, policy.retry)).then(function() {
+                    update.inFlight = false
+                    processQueue(jobId)
+                })
+            }
+
+            const kept = policy.keepFailed && isRetryable(error)
+
+            if (kept) {
+                const newer = queue.find(function(queued) {
+                    return queued !== update && queued.key == update.key
+                })
+
+                // A newer update for the transformation is queued: it replaces this one (the server never got this status)
+                if (newer) {
+                    newer.previousStatus = update.previousStatus
+                } else {
+                    keptUpdates.push(update)
+                }
+            }
+
+            report("updateFailed", {
+                update: update.payload,
+                error: error,
+                kept: kept
+            })
+
+            finish(jobId)
+        })
+    }
+
+    const updateQueue = {
+
+        /**
+         * Add a status update to the queue.
+         *
+         * @param {Object} payload              The "/updateStatus" payload
+         * @param {string} apiKey               The API key to send the update with
+         * @param {string} previousStatus       The transformation's status before this update
+         */
+        enqueue: function(payload, apiKey, previousStatus) {
+            const jobId = payload.jobId
+            const queue = queues[jobId] = queues[jobId] || []
+            const key = getKey(payload)
+
+            const sameTransform = queue.filter(function(update) {
+                return update.key == key
+            })
+
+            // Already queued with the same status (ex. restored twice)
+            if (sameTransform.length > 0 && sameTransform[sameTransform.length - 1].payload.status == payload.status) {
+                return
+            }
+
+            const keptIndex = keptUpdates.findIndex(function(update) {
+                return update.key == key
+            })
+
+            // A newer update replaces the one that was set aside (the server never got its status)
+            if (keptIndex != -1) {
+                previousStatus = keptUpdates.splice(keptIndex, 1)[0].previousStatus
+            }
+
+            const pendingIndex = queue.findIndex(function(update) {
+                return !update.inFlight && update.key == key
+            })
+
+            if (pendingIndex != -1) {
+                const pending = queue.splice(pendingIndex, 1)[0]
+
+                previousStatus = pending.previousStatus
+            }
+
+            // The transformation is back to the status the server already knows about
+            if ((pendingIndex != -1 || keptIndex != -1) && payload.status == previousStatus) {
+                if (queue.length == 0) {
+                    delete queues[jobId]
+                    notifyIfIdle()
+                }
+                notifyChange()
+                return
+            }
+
+            queue.push({
+                key: key,
+                payload: payload,
+                apiKey: apiKey,
+                previousStatus: previousStatus,
+                attempts: 0,
+                inFlight: false
+            })
+
+            notifyChange()
+            processQueue(jobId)
+        },
+
+        /**
+         * Queue updates again (ex. loaded from storage). Updates that were set aside are queued again as well,
+         * after the restored entries (they are newer).
+         *
+         * Stored entries don't include an API key: they are sent with the given one. Without a key,
+         * they are set aside until updates are restored again with one.
+         *
+         * @param {Array} entries               Entries as returned by "getEntries"
+         * @param {string} [apiKey]             The API key to send restored updates with
+         */
+        restore: function(entries, apiKey) {
+            const updates = (entries || []).concat(keptUpdates)
+
+            keptUpdates = []
+
+            updates.forEach(function(entry) {
+                const updateApiKey = entry.apiKey || apiKey
+
+                if (updateApiKey) {
+                    updateQueue.enqueue(entry.payload, updateApiKey, entry.previousStatus)
+                } else {
+                    keptUpdates.push({
+                        key: getKey(entry.payload),
+                        payload: entry.payload,
+                        apiKey: null,
+                        previousStatus: entry.previousStatus
+                    })
+                }
+            })
+
+            notifyChange()
+        },
+
+        // Returns serializable copies of all updates that have not been sent yet
+        getEntries: getEntries,
+
+        // Returns a Promise that resolves once every queued update has been sent (or dropped)
+        flush: function() {
+            return new Promise(function(resolve) {
+                flushWaiters.push(resolve)
+                notifyIfIdle()
+            })
+        },
+
+        // Returns the payloads of all updates that have not been sent yet (including those in flight or set aside)
+        getPending: function() {
+            return getEntries().map(function(entry) {
+                return entry.payload
+            })
+        }
+    }
+
+    return updateQueue
+}
+
+/*********************************************************************
+                            Storage
+**********************************************************************/
+
+/*
+    A storage adapter keeps unsent transformation status updates across restarts.
+
+    It is any object with the following functions (both may return a Promise):
+
+        get(key)            Returns the value stored under key (or undefined)
+        set(key, value)     Stores the (JSON-serializable) value under key
+*/
+
+// Key that unsent status updates are stored under
+const PENDING_UPDATES_KEY = "pt-pending-updates"
+
+/**
+ * Create a storage adapter that keeps values in memory (lost when the process exits).
+ *
+ * @return {Object}                     Storage adapter
+ */
+function memoryStorage() {
+    const values = {}
+
+    return {
+        get: function(key) {
+            return values[key] === undefined ? undefined : JSON.parse(values[key])
+        },
+        set: function(key, value) {
+            values[key] = JSON.stringify(value)
+        }
+    }
+}
+
+/**
+ * Create a storage adapter that keeps values in a JSON file on disk.
+ *
+ * The file is written to a temporary file first and then renamed, so a crash never leaves it half-written.
+ *
+ * @param {string} filePath             Path of the JSON file
+ *
+ * @return {Object}                     Storage adapter
+ */
+function fileStorage(filePath) {
+    const fs = require('fs')
+
+    function readAll() {
+        return new Promise(function(resolve, reject) {
+            fs.readFile(filePath, "utf8", function(error, contents) {
+                if (error && error.code == "ENOENT") {
+                    resolve({})
+                } else if (error) {
+                    reject(error)
+                } else {
+                    resolve(contents ? JSON.parse(contents) : {})
+                }
+            })
+        })
+    }
+
+    function writeAll(values) {
+        const tmpPath = filePath + ".tmp"
+
+        return new Promise(function(resolve, reject) {
+            fs.writeFile(tmpPath, JSON.stringify(values), "utf8", function(error) {
+                if (error) {
+                    return reject(error)
+                }
+
+                fs.rename(tmpPath, filePath, function(error) {
+                    error ? reject(error) : resolve()
+                })
+            })
+        })
+    }
+
+    return {
+        get: function(key) {
+            return readAll().then(function(values) {
+                return values[key]
+            })
+        },
+        set: function(key, value) {
+            return readAll().then(function(values) {
+                values[key] = value
+                return writeAll(values)
+            })
+        }
+    }
+}
+
+const storage = {
+    memory: memoryStorage,
+    file: fileStorage
+}
+
+/**
+ * Create a Perfect Tense client.
+ *
+ * Every client keeps its own configuration (app key, persistence, default options/response types)
+ * and its own HTTP instance, so several integrations can run in the same process without
+ * overwriting each other's settings. The module itself exports a default client for backward compatibility.
+ *
+ * @param {Object} [config]     Optional configuration passed to "initialize"
+ *
+ * @return {Object}             A new, isolated Perfect Tense client
+ */
+function createClient(config) {
+
+    /*********************************************************************
+                            Init Transport
+    **********************************************************************/
+    const pt = {}
+
+    pt.baseUrl = PT_BASE_URL
+    pt.transport = axiosTransport()
+    pt.retry = createRetryPolicy()
+    pt.protectText = null
+
+    /*********************************************************************
+                            Init Persistence
+    **********************************************************************/
+    const events = createEmitter()
+
+    pt.maxUpdateAttempts = DEFAULT_MAX_UPDATE_ATTEMPTS
+    pt.storage = null
+
+    const updateQueue = createUpdateQueue(function(update) {
+        // The queue retries failed updates itself
+        return submitToPT(update.payload, update.apiKey, "/updateStatus", NO_RETRY_POLICY)
+    }, events, function() {
+        return {
+            retry: pt.retry,
+            maxAttempts: pt.maxUpdateAttempts,
+            keepFailed: pt.storage != null
+        }
+    }, storeUpdates)
+
+    // Chain of storage operations (loads/saves are applied one at a time, in order)
+    var storageChain = Promise.resolve()
+
+    // Storage adapter whose updates have already been loaded
+    var loadedStorage = null
+
+    // Job result -> status updates held back until its editor's running transaction commits (see editor.transaction)
+    const heldUpdates = new Map()
+
+    /*********************************************************************
+                        Perfect Tense Specific
+    **********************************************************************/
+    pt.TRANSFORM_STATUS_ACCEPTED = "accept"
+    pt.TRANSFORM_STATUS_REJECTED = "reject"
+    pt.TRANSFORM_STATUS_CLEAN = "clean"
+    pt.ALL_RESPONSE_TYPES = ["rulesApplied", "grammarScore", "corrected"]
+
+    pt.appKey = ""
+    pt.verbose = true
+    pt.persist = true
+
+    /**
+     * Initialize PT client
+     *     
+     * @param {string} config.appKey                           App key assigned to this registered application [insert link to register app]
+     * @param {boolean} config.verbose=true                    Set verbose console output for debugging purposes
+     * @param {boolean} config.persist=true                    Optionally persist corrections (Help Perfect Tense get better!)
+     * @param {Object} config.options={}                       Optional default options such as protected text (see API documentation)
+     * @param {Object} config.responseType=["rulesApplied"]    Optional array of response types (see API documentation) 
+     * @param {string} config.baseUrl                          Optional API base URL (defaults to https://api.perfecttense.com)
+     * @param {function} config.transport                      Optional transport used for all network calls (defaults to this client's axios transport)
+     * @param {Object} config.retry                            Optional retry policy for transient failures ({ retries, minDelay, maxDelay, factor, jitter }), or false to disable
+     * @param {number} config.maxUpdateAttempts=3              Optional number of attempts for each transformation status update before it is dropped
+     * @param {Object} config.storage                          Optional storage adapter keeping unsent status updates across restarts (replayed on initialize)
+     * @param {string} config.apiKey                           Optional API key to send status updates replayed from storage with (API keys are never stored)
+     * @param {Object} config.protectText                      Optionally detect protected text (URLs, emails, code, ...) in every job: true, or { patterns, glossary, <pattern>: false }
+     */
+    pt.initialize = function(config) {
+        pt.appKey = config.appKey || "",
+            pt.verbose = config.verbose,
+            pt.persist = config.persist,
+            pt.options = config.options,
+            pt.responseType = config.responseType || pt.ALL_RESPONSE_TYPES,
+            pt.baseUrl = config.baseUrl || PT_BASE_URL,
+            pt.transport = config.transport || pt.transport,
+            pt.retry = createRetryPolicy(config.retry),
+            pt.maxUpdateAttempts = config.maxUpdateAttempts || DEFAULT_MAX_UPDATE_ATTEMPTS,
+            pt.storage = config.storage || null,
+            pt.protectText = createProtectedTextDetector(config.protectText)
+
+        if (pt.storage) {
+            pt.replayStoredUpdates(config.apiKey)
+        }
+    }
+
+    /**
+     * Queue the status updates saved in storage (unsent when the process last exited), and send them.
+     *
+     * Storage is only read once per adapter: later calls re-send the updates that were kept after failing
+     * (ex. once the network is back).
+     *
+     * API keys are not stored, so stored updates are sent with the given key. Without one, they wait until this
+     * is called again with a key.
+     *
+     * This is called automatically by "initialize" when a storage adapter is configured (with config.apiKey).
+     *
+     * @param {string} [apiKey]         The API key to send stored updates with
+     *
+     * @return {Object}                 Promise that resolves once the stored updates have been queued
+     */
+    pt.replayStoredUpdates = function(apiKey) {
+        const store = pt.storage
+
+        if (!store) {
+            return Promise.resolve()
+        }
+
+        const alreadyLoaded = loadedStorage === store
+        loadedStorage = store
+
+        storageChain = storageChain.then(function() {
+            return alreadyLoaded ? [] : store.get(PENDING_UPDATES_KEY)
+        }).then(function(entries) {
+            updateQueue.restore(entries, apiKey)
+        }).catch(function(error) {
+            events.emit("storageError", {
+                error: error
+            })
+        })
+
+        return storageChain
+    }
+
+    /**
+     * Register a handler for client events.
+     *
+     * "updateSent" ({ update }):                  A transformation status update was saved
+     * "updateFailed" ({ update, error, kept }):   A transformation status update failed and was dropped (or kept in storage, if kept is true)
+     * "storageError" ({ error }):                 Unsent status updates could not be loaded from/saved to storage
+     *
+     * @param {string} event            The event name
+     * @param {function} handler        The handler, called with the event payload
+     *
+     * @return {function}               Function that removes the handler
+     */
+    pt.on = function(event, handler) {
+        return events.on(event, handler)
+    }
+
+    /**
+     * Remove a handler registered with "on".
+     *
+     * @param {string} event            The event name
+     * @param {function} handler        The handler to remove
+     */
+    pt.off = function(event, handler) {
+        events.off(event, handler)
+    }
+
+    /**
+     * Wait for all queued transformation status updates to be sent.
+     *
+     * @return {Object}                 Promise that resolves once every queued update has been sent (or dropped)
+     */
+    pt.flush = function() {
+        return updateQueue.flush()
+    }
+
+    /**
+     * Get all transformation status updates that have not been sent yet.
+     *
+     * @return {Array}                  Array of "/updateStatus" payloads, in the order they will be sent for each job
+     */
+    pt.getPendingUpdates = function() {
+        return updateQueue.getPending()
+    }
+
+    /**
+     * Test the validity of the parameter API key
+     *     
+     * The Promise resolves with false when the key is rejected (401), and rejects with a PTError
+     * if the key could not be checked (network/server failure).
+     *
+     * @param {string} apiKey           The API key to test
+     *
+     * @return {boolean}                True if the API key is valid, else false
+     */
+    pt.apiKeyIsValid = function(apiKey) {
+
+        const payload = {
+            method: 'GET',
+            url: pt.baseUrl + "/testAuth",
+            headers: {
+                'Authorization': apiKey,
+                'Content-Type': 'application/json'
+            }
+        }
+
+        function apiSuccess(response) {
+            return true
+        }
+
+        function apiFailure(error) {
+            const ptError = toPTError(error, "/testAuth")
+
+            if (ptError instanceof PTAuthError) {
+                return false
+            }
+
+            return Promise.reject(ptError)
+        }
+
+        return sendRequest(payload).then(apiSuccess, apiFailure)
+    }
+
+    /*********************************************************************
+                    Interaction With Perfect Tense API
+    **********************************************************************/
+
+
+    /*
+     * Submit text to Perfect Tense, receiving specified responseTypes in result.
+     *
+     * @param {string} text             Text to be submitted
+     * @param {string} apiKey           The user's API key
+     * @param {Object} options          Options such as protected text. Defaults to options set during initialization
+     * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+     *
+     * @return {Object}                 Promise containing the job result (rejects with a PTError on failure)
+     */
+    pt.submitJob = function(text, apiKey, options, responseType) {
+        return requestCorrection(text, apiKey, options, responseType).then(function(result) {
+            pt.setMetaData(result)
+            return result
+        })
+    }
+
+    /**
+     * Submit a (potentially long) document to Perfect Tense.
+     *
+     * The text is split into chunks on paragraph/sentence boundaries, the chunks are submitted with bounded
+     * concurrency, and their results are merged into a single job result. The merged result can be used
+     * exactly like the result of "submitJob" (interactiveEditor, getCurrentText, etc.).
+     *
+     * Documents that fit in a single chunk are submitted as a regular job.
+     *
+     * @param {string} text                         Text to be submitted
+     * @param {string} apiKey                       The user's API key
+     * @param {Object} [config.options]             Options such as protected text. Defaults to options set during initialization
+     * @param {Object} [config.responseType]        Array of response types. Defaults to responseType set during initialization
+     * @param {number} [config.maxChunkSize=5000]   Maximum number of characters submitted in each request
+     * @param {number} [config.concurrency=3]       Maximum number of requests pending at a time
+     *
+     * @return {Object}                             Promise containing the merged job result (rejects with a PTError on failure)
+     */
+    pt.submitDocument = function(text, apiKey, config) {
+        config = config || {}
+
+        const chunks = splitText(text, config.maxChunkSize || DEFAULT_MAX_CHUNK_SIZE)
+
+        if (chunks.length <= 1) {
+            return pt.submitJob(text, apiKey, config.options, config.responseType)
+        }
+
+        return mapWithConcurrency(chunks, config.concurrency || DEFAULT_CONCURRENCY, function(chunk) {
+            return requestCorrection(chunk, apiKey, config.options, config.responseType)
+        }).then(function(results) {
+            const merged = mergeResults(results, chunks)
+            pt.setMetaData(merged)
+            return merged
+        })
+    }
+
+    /**
+     * Submit many texts to Perfect Tense, with bounded concurrency.
+     *
+     * Every text is submitted as its own job. The Promise always resolves with one entry per text, in input order:
+     *
+     *     { index, success: true, result }                    the job result (as returned by submitJob)
+     *     { index, success: false, error }                    the PTError the job was rejected with
+     *     { index, success: false, skipped: true, error }     not submitted, because a quota error was encountered
+     *
+     * Once the daily limit is reached (a 403 PTQuotaError), the remaining texts are skipped (requests already in flight
+     * still complete). A text that is still rate limited (429) after retries only fails that entry.
+     *
+     * Errors thrown by onProgress are ignored (and logged in verbose mode): they never fail the batch.
+     *
+     * @param {Array} texts                             Texts to be submitted
+     * @param {string} apiKey                           The user's API key
+     * @param {Object} [config.options]                 Options such as protected text. Defaults to options set during initialization
+     * @param {Object} [config.responseType]            Array of response types. Defaults to responseType set during initialization
+     * @param {number} [config.concurrency=3]           Maximum number of requests pending at a time
+     * @param {boolean} [config.stopOnQuotaError=true]  Skip the remaining texts once the daily limit is reached
+     * @param {function} [config.onProgress]            Called after every text with { index, entry, completed, total, succeeded, failed, skipped }
+     * @param {function} [config.submit]                Function (text, index) submitting a text instead of submitJob (ex. with submitMarkdown)
+     *
+     * @return {Object}                                 Promise containing the array of entries
+     */
+    pt.submitBatch = function(texts, apiKey, config) {
+        config = config || {}
+
+        const stopOnQuotaError = config.stopOnQuotaError !== false
+        const progress = {
+            completed: 0,
+            total: texts.length,
+            succeeded: 0,
+            failed: 0,
+            skipped: 0
+        }
+
+        var quotaError = null
+
+        function reportProgress(entry) {
+            progress.completed += 1
+
+            if (entry.success) {
+                progress.succeeded += 1
+            } else if (entry.skipped) {
+                progress.skipped += 1
+            } else {
+                progress.failed += 1
+            }
+
+            if (config.onProgress) {
+                try {
+                    config.onProgress(Object.assign({
+                        index: entry.index,
+                        entry: entry
+                    }, progress))
+                } catch (e) {
+                    if (pt.verbose) {
+                        console.log("onProgress failed:")
+                        console.log(e)
+                    }
+                }
+            }
+
+            return entry
+        }
+
+        return mapWithConcurrency(texts, config.concurrency || DEFAULT_CONCURRENCY, function(text, index) {
+
+            if (quotaError) {
+                return reportProgress({
+                    index: index,
+                    success: false,
+                    skipped: true,
+                    error: quotaError
+                })
+            }
+
+            const submitted = config.submit ?
+                config.submit(text, index) :
+                pt.submitJob(text, apiKey, config.options, config.responseType)
+
+            return submitted.then(function(result) {
+                return reportProgress({
+                    index: index,
+                    success: true,
+                    result: result
+                })
+            }, function(error) {
+                // Rate limiting (429) is transient: only the daily limit (403) stops the batch
+                if (stopOnQuotaError && error instanceof PTQuotaError && error.status != 429) {
+                    quotaError = quotaError || error
+                }
+
+                return reportProgress({
+                    index: index,
+                    success: false,
+                    error: error
+                })
+            })
+        })
+    }
+
+    /**
+     * Find the text that protected text detection would send with a job (see config.protectText in "initialize").
+     *
+     * @param {string} text             The text
+     * @param {Object} [config]         Detector configuration. Defaults to the one set during initialization (or every default pattern)
+     *
+     * @return {Array}                  The protected strings, in order of appearance
+     */
+    pt.detectProtectedText = function(text, config) {
+        const detector = config ? createProtectedTextDetector(config) : pt.protectText || createProtectedTextDetector(true)
+
+        return detector ? detectProtectedText(text, detector) : []
+    }
+
+    /**
+     * Submit a Markdown document to Perfect Tense.
+     *
+     * Only the prose is submitted: code blocks, link URLs, images and other markup are left out, and inline code
+     * and URLs are sent as protected text. Offsets of the result refer to the submitted prose: use getSourceRange,
+     * getFindings and getCurrentSourceText to work with the Markdown source.
+     *
+     * @param {string} source           Markdown source
+     * @param {string} apiKey           The user's API key
+     * @param {Object} options          Options such as protected text. Defaults to options set during initialization
+     * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+     *
+     * @return {Object}                 Promise containing the job result, with its "markup" (rejects with a PTError on failure)
+     */
+    pt.submitMarkdown = function(source, apiKey, options, responseType) {
+        return submitMarkup(extractMarkdown(source), apiKey, options, responseType)
+    }
+
+    /**
+     * Submit an HTML document to Perfect Tense.
+     *
+     * Only the prose is submitted: tags, attributes, scripts, styles and preformatted text are left out, and the
+     * content of code elements and URLs are sent as protected text (see submitMarkdown).
+     *
+     * @param {string} source           HTML source
+     * @param {string} apiKey           The user's API key
+     * @param {Object} options          Options such as protected text. Defaults to options set during initialization
+     * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+     *
+     * @return {Object}                 Promise containing the job result, with its "markup" (rejects with a PTError on failure)
+     */
+    pt.submitHtml = function(source, apiKey, options, responseType) {
+        return submitMarkup(extractHtml(source), apiKey, options, responseType)
+    }
+
+    /**
+     * Generate an App key for this integration (alternatively, use our UI here: https://app.perfecttense.com/api).
+     *
+     * @param {String} $apiKey              The API key to register this app under (likely your own)
+     * @param {String} $name                The name of this app
+     * @param {String} $description         The description of this app (minimum 50 characters)
+     * @param {String} $contactEmail        Contact email address for this app (defaults to the email associated with the API key)
+     * @param {String} $siteUrl             Optional URL that can be used to sign up for/use this app.
+     *
+     * @return {String}                     A unique app key (rejects with a PTError on failure)
+     */
+    pt.generateAppKey = function(apiKey, name, description, contactEmail, siteUrl) {
+
+        const data = {
+            name: name,
+            description: description,
+            contactEmail: contactEmail,
+            siteUrl: siteUrl
+        }
+
+        return new Promise(function(resolve, reject) {
+            submitToPT(data, apiKey, "/generateAppKey")
+                .then(function(res) {
+
+                    if (!res.data.error) {
+                        resolve(res.data)
+                    } else reject(new PTValidationError(getServerMessage(res.data), {
+                        response: res,
+                        endpoint: "/generateAppKey"
+                    }))
+
+                }).catch(function(error) {
+                    reject(error)
+                })
+        })
+    }
+
+    /*********************************************************************
+                    Interaction With Perfect Tense Result
+    **********************************************************************/
+
+    /**
+     * Get the grammar score result of this job.
+     *    
+     * If the grammar score was requested in the original request, a value from 0.0 to 100.0
+     * will be returned. Otherwise, null will be returned.
+     *
+     *
+     * @param {Object} data     Result returned from submitJob
+     *
+     * @return {number}         The grammar score result to this job
+     */
+    pt.getGrammarScore = function(data) {
+        return data.grammarScore
+    }
+
+    /**
+     * Get API usage statistics from PT
+     *
+     * @param {String} apiKey     The api key of the user you are requesting usage statistics for
+     *
+     * @return {Object}           The user's usage statistics (rejects with a PTError on failure)
+     */
+    pt.getUsage = function(apiKey) {
+
+        const payload = {
+            method: 'GET',
+            url: pt.baseUrl + "/usage",
+            headers: {
+                'Authorization': apiKey
+            }
+        }
+
+        return sendRequest(payload).catch(function(error) {
+            return Promise.reject(toPTError(error, "/usage"))
+        })
+    }
+
+
+    /**
+     * Returns an interactive editor used to work through accepting/rejecting all
+     * corrections returned by Perfect Tense.
+     *
+     * This editor will handle tracking state information such as which transformations are avilable
+     * at any given time, and is the recommended way to interact with a result.
+     *
+     *
+     * @param {Object} config.data                          Result returned from submitJob
+     * @param {Object} [config.apiKey]                      Optional API Key associated with this job (to track transformation accept/reject/clean statuses)
+     * @param {Object} [config.ignoreNoReplacement=false]   Optionally ignore transformations that are comments (i.e. "This sentence is a fragment")            
+     * @param {Object} [config.state]                       Optional session state returned by editor.exportState, to restore previous decisions
+     * @param {Object} [config.policy]                      Optional review policy deciding which transformations are auto-accepted, hidden or reviewed
+     *
+     * @return {Object}                                     Interactive Editor
+     */
+    pt.interactiveEditor = function(config) {
+
+        const data = config.data
+        const apiKey = config.apiKey
+        const ignoreNoReplacement = config.ignoreNoReplacement
+        const policy = config.policy
+
+        if (policy) {
+            validatePolicy(policy)
+        }
+
+        // All functions assume that this metadata has been set when interacting with corrections
+        if (!data.hasMeta) {
+            pt.setMetaData(data)
+        }
+
+        // Transformations from each sentence flattened into one array for easier indexing
+        const flattenedTransforms = [].concat.apply([],
+            data.rulesApplied.map(function(sentence) {
+                return sentence.transformations
+            })
+        )
+
+        // Index of the first transformation of each sentence (in flattenedTransforms)
+        const sentenceStarts = []
+
+        data.rulesApplied.reduce(function(count, sentence) {
+            sentenceStarts.push(count)
+            return count + sentence.transformations.length
+        }, 0)
+
+        if (config.state) {
+            restoreState(config.state)
+        }
+
+        /*
+            Stack of undoable steps. Each step is the list of status changes it made ({ transform, status, previous }),
+            in order: a single accept/reject, or several changes undone together (ex. choosing an alternative).
+
+            Steps restored from a session come back as they were. Decisions that were already made are one step each.
+        */
+        const undoStack = config.state ?
+            decodeSteps(getStateSteps(config.state)) :
+            flattenedTransforms.filter(transform => !pt.isClean(transform)).map(function(transform) {
+                return [{
+                    transform: transform,
+                    status: transform.status,
+                    previous: pt.TRANSFORM_STATUS_CLEAN
+                }]
+            })
+
+        // Stack of undone steps, cleared whenever a new action is made (restored sessions keep theirs)
+        var redoStack = config.state && config.state.redo ? decodeSteps(config.state.redo) : []
+
+        // Changes of the step being recorded by a bulk operation or transaction (see recordStep), or null
+        var recording = null
+
+        // State ({ failed }) of the running transaction (see editor.transaction), or null
+        var transaction = null
+
+        // Handlers registered through editor.on
+        const events = createEmitter()
+
+        // Sentence index (or null, for every sentence) -> set of text trackers (see trackText)
+        const textTrackers = new Map()
+
+        // Cache of available transformations in current state
+        var allAvailableTransforms = null
+
+        // True once the cache has been returned by getAllAvailableTransforms (it is then copied before it changes)
+        var availableShared = false
+
+        updateAvailableCache()
+
+        // Offsets and line/column positions of the sentences, updated after every action (once built)
+        const positionIndex = createPositionIndex(data.rulesApplied.length, function(sentenceIndex) {
+            return pt.getCurrentSentenceText(pt.getSentence(data, sentenceIndex))
+        })
+
+        /*
+            Updates cache of available transformations (optionally skipping suggestions without replacements, and
+            transformations that the review policy hides or accepts automatically).
+
+            After an action, only the transformations overlapping the one acted on can change, so only its group is
+            refreshed. The cache stays sorted by transformIndex. Once it has been returned by getAllAvailableTransforms,
+            it is copied rather than modified (arrays returned to the caller don't change under them).
+        */
+        function updateAvailableCache(transform) {
+            if (!transform) {
+                allAvailableTransforms = flattenedTransforms.filter(isReviewable)
+                availableShared = false
+                return
+            }
+
+            const group = pt.getOverlappingGroup(pt.getSentence(data, transform.sentenceIndex), transform)
+            const updated = availableShared ? allAvailableTransforms.slice() : allAvailableTransforms
+
+            availableShared = false
+
+            group.forEach(function(member) {
+                const position = findAvailablePosition(updated, member.transformIndex)
+                const cached = updated[position] === member
+
+                if (cached && !isReviewable(member)) {
+                    updated.splice(position, 1)
+                } else if (!cached && isReviewable(member)) {
+                    updated.splice(position, 0, member)
+                }
+            })
+
+            allAvailableTransforms = updated
+        }
+
+        // Binary search for the position of the transformation index in the (sorted) available transformations
+        function findAvailablePosition(transforms, transformIndex) {
+            var low = 0
+            var high = transforms.length
+
+            while (low < high) {
+                const mid = (low + high) >> 1
+
+                if (transforms[mid].transformIndex < transformIndex) {
+                    low = mid + 1
+                } else {
+                    high = mid
+                }
+            }
+
+            return low
+        }
+
+        // Range of the sentence's transformations in the available cache ({ start, end }, end excluded)
+        function getAvailableRange(sentenceIndex) {
+            const first = sentenceStarts[sentenceIndex]
+
+            return {
+                start: findAvailablePosition(allAvailableTransforms, first),
+                end: findAvailablePosition(allAvailableTransforms, first + pt.getSentence(data, sentenceIndex).transformations.length)
+            }
+        }
+
+        function isReviewable(transform) {
+            return transform.isAvailable && (!ignoreNoReplacement || transform.hasReplacement) &&
+                getPolicyAction(policy, transform) == POLICY_ACTION_REVIEW
+        }
+
+        const editor = {
+
+            // Get the assigned grammar score
+            getGrammarScore: function() {
+                return data.grammarScore
+            },
+
+            // Accessor for the data
+            getData: function() {
+                return data
+            },
+
+            // Get usage statistics for this user (number of requests remaining, etc.)
+            getUsage: function() {
+                return pt.getUsage(apiKey)
+            },
+
+            // Get the transform at the specified index (relative to the flattened list of all transformations)
+            getTransform: function(flattenedIndex) {
+                return flattenedTransforms[flattenedIndex]
+            },
+
+            // Get the sentence at the specified index
+            getSentence: function(sentenceIndex) {
+                return pt.getSentence(data, sentenceIndex)
+            },
+
+            // Get the sentence containing the specified transform
+            getSentenceFromTransform: function(transform) {
+                return pt.getSentence(data, transform.sentenceIndex)
+            },
+
+            // Get all transforms that are currently valid (their tokensAffected are available in the sentence)
+            getAllAvailableTransforms: function() {
+                availableShared = true
+                return allAvailableTransforms
+            },
+
+            // Returns true if there exists an available, clean transformation
+            hasNextTransform: function(ignoreSuggestions) {
+            	if (ignoreSuggestions) {
+            		return getNextNonSuggestion() != null
+            	} else {
+            		return allAvailableTransforms.length > 0
+            	}  
+            },
+
+            // Returns the next available transformation
+            getNextTransform: function(ignoreSuggestions) {
+            	if (ignoreSuggestions) {
+            		return getNextNonSuggestion()
+            	} else {
+            		return allAvailableTransforms[0]
+            	}  
+            },
+
+            // Returns a list of all transforms affecting the exact same tokens in the current sentence
+            getOverlappingTransforms: function(transform) {
+                const sentence = pt.getSentence(data, transform.sentenceIndex)
+                const overlappingTransforms = pt.getOverlappingGroup(sentence, transform)
+
+                return overlappingTransforms.filter(function(t) {
+                    return pt.affectsSameTokens(t, transform)
+                })
+            },
+
+            // Returns the current text of the job (considering whether transforms have been accepted or rejected)
+            getCurrentText: function() {
+                return pt.getCurrentText(data)
+            },
+
+            // Returns the current Markdown/HTML source of a job submitted with submitMarkdown/submitHtml
+            getCurrentSourceText: function() {
+                return pt.getCurrentSourceText(data)
+            },
+
+            // Returns the current text of the sentence (considering whether transforms have been accepted or rejected)
+            getCurrentSentenceText: function(sentence) {
+                return pt.getCurrentSentenceText(sentence)
+            },
+
+            // Accept the transformation and substitute the tokensAdded for the tokensAffected (optionally persisting to database)
+            acceptCorrection: function(transform) {
+                return makeStep([{
+                    transform: transform,
+                    status: pt.TRANSFORM_STATUS_ACCEPTED
+                }])
+            },
+
+            // Reject the transformation (optionally persisting to database)
+            rejectCorrection: function(transform) {
+                return makeStep([{
+                    transform: transform,
+                    status: pt.TRANSFORM_STATUS_REJECTED
+                }])
+            },
+
+            // Undo the last step (accept/reject -> clean, or all the changes of a compound step) (optionally persisting to database)
+            undoLastTransform: function() {
+
+                if (!recording && undoStack.length > 0 && applyChanges(reverseChanges(undoStack[undoStack.length - 1]))) {
+                    redoStack.push(undoStack.pop())
+                    return true
+                }
+
+                return false
+            },
+
+            // Redo the last undone step (clean -> accept/reject) (optionally persisting to database)
+            redo: function() {
+
+                if (!recording && redoStack.length > 0 && applyChanges(redoStack[redoStack.length - 1])) {
+                    undoStack.push(redoStack.pop())
+                    return true
+                }
+
+                return false
+            },
+
+            // Returns true if the last undone step can be redone (its transformations are still available, and no transaction is running), else false
+            canRedo: function() {
+                return !recording && redoStack.length > 0 && canApplyChanges(redoStack[redoStack.length - 1])
+            },
+
+            canMakeTransform: function(transform) {
+                const sentence = pt.getSentence(data, transform.sentenceIndex)
+                return pt.canMakeTransform(sentence, transform)
+            },
+
+            // Returns true if the last step can be undone (not while a transaction is running), else false
+            canUndoLastTransform: function() {
+                return !recording && undoStack.length > 0 && canApplyChanges(reverseChanges(undoStack[undoStack.length - 1]))
+            },
+
+            // Returns the last transformation that was interacted with
+            getLastTransform: function() {
+                const lastStep = undoStack[undoStack.length - 1]
+                return lastStep ? lastStep[lastStep.length - 1].transform : undefined
+            },
+
+            // Get the character offset of the transformation (relative to the current state of the sentence)
+            getTransformOffset: function(transform) {
+                return pt.getTransformOffset(data, transform)
+            },
+
+            // Get the character offset of the sentence (relative to the current state of the job)
+            getSentenceOffset: function(sentence) {
+                return positionIndex.getOffset(sentence.sentenceIndex)
+            },
+
+            // Get the tokensAffected as a string
+            getAffectedText: function(transform) {
+                return pt.getAffectedText(transform)
+            },
+
+            // Get the tokensAdded as a string
+            getAddedText: function(transform) {
+                return pt.getAddedText(transform)
+            },
+
+            // Get the original text of the job
+            getOriginalText: function() {
+                return pt.getOriginalText(data)
+            },
+
+            // Get all "clean" transformations (ones that have not been accepted or rejected yet)
+            getAllClean: function() {
+                return flattenedTransforms.filter(pt.isClean)
+            },
+
+            // Get the number of sentences in the job
+            getNumSentences: function() {
+                return pt.getNumSentences(data)
+            },
+
+            getNumTransformations: function() {
+                return flattenedTransforms.length
+            }
+        }
+
+        // private utility to get the next non-suggestion
+        function getNextNonSuggestion() {
+        	return allAvailableTransforms.find(function(transform) {
+    	        return !transform.isSuggestion
+    	    })
+        }
+
+        /*
+            Make the status changes ([{ transform, status }]) as a single undoable step, clearing the redo stack.
+            Nothing is changed unless every change can be made (in order).
+        */
+        function makeStep(changes) {
+            const statuses = new Map()
+
+            const step = changes.map(function(change) {
+                const previous = statuses.get(change.transform) || change.transform.status
+
+                statuses.set(change.transform, change.status)
+
+                return {
+                    transform: change.transform,
+                    status: change.status,
+                    previous: previous
+                }
+            })
+
+            // Nothing more is changed once a transaction has failed: it is about to be rolled back
+            if (transaction && transaction.failed) {
+                return false
+            }
+
+            if (step.length == 0 || !applyChanges(step)) {
+                if (transaction) {
+                    transaction.failed = true
+                }
+
+                return false
+            }
+
+            if (recording) {
+                recording.push.apply(recording, step)
+            } else {
+                undoStack.push(step)
+            }
+
+            redoStack = []
+            return true
+        }
+
+        /*
+            Run fn, recording all the status changes it makes as a single step (when called from within fn,
+            the changes are part of the enclosing step). Returns the result of fn.
+        */
+        function recordStep(fn) {
+            if (recording) {
+
+                // Bulk operations skip the transformations they can't change, without failing an enclosing transaction
+                const outer = transaction
+                transaction = null
+
+                try {
+                    return fn()
+                } finally {
+                    transaction = outer
+                }
+            }
+
+            recording = []
+
+            try {
+                return fn()
+            } finally {
+                if (recording.length > 0) {
+                    undoStack.push(recording)
+                }
+
+                recording = null
+            }
+        }
+
+        // The changes undoing a step (in reverse order)
+        function reverseChanges(step) {
+            return step.map(function(change) {
+                return {
+                    transform: change.transform,
+                    status: change.previous,
+                    previous: change.status
+                }
+            }).reverse()
+        }
+
+        // Make the status changes, in order (returns false, changing nothing, if they can't all be made)
+        function applyChanges(changes) {
+            if (!canApplyChanges(changes)) {
+                return false
+            }
+
+            const applied = []
+
+            const complete = changes.every(function(change) {
+                return setStatus(change.transform, change.status) && applied.push(change)
+            })
+
+            if (!complete) {
+                reverseChanges(applied).forEach(function(change) {
+                    setStatus(change.transform, change.status)
+                })
+            }
+
+            return complete
+        }
+
+        /*
+            Returns true if the status changes can be made in order, checking each one against the tokens (and statuses)
+            left by the previous ones: accept/reject need a clean transformation whose tokens are present, and undo
+            needs the tokens it produced to still be there (see canUndoTransform).
+        */
+        function canApplyChanges(changes) {
+            const overlays = new Map()
+            const statuses = new Map()
+
+            return changes.every(function(change, index) {
+                const transform = change.transform
+                const sentence = pt.getSentence(data, transform.sentenceIndex)
+                const overlay = overlays.get(sentence)
+                const status = statuses.get(transform) || transform.status
+
+                function isPresent(tokens) {
+                    return overlay ? overlay.has(tokens) : tokensArePresent(tokens, sentence.activeTokens)
+                }
+
+                // The tokens left by the change are only needed to check the following ones
+                function replace(affected, added) {
+                    if (index < changes.length - 1 && transform.hasReplacement) {
+                        if (!overlays.has(sentence)) {
+                            overlays.set(sentence, createTokenOverlay(sentence.activeTokens))
+                        }
+
+                        overlays.get(sentence).replace(affected, added)
+                    }
+                }
+
+                if (change.status == pt.TRANSFORM_STATUS_CLEAN) {
+                    const produced = status == pt.TRANSFORM_STATUS_ACCEPTED ? transform.tokensAdded : transform.tokensAffected
+
+                    if (status == pt.TRANSFORM_STATUS_CLEAN || !isPresent(produced)) {
+                        return false
+                    }
+
+                    if (status == pt.TRANSFORM_STATUS_ACCEPTED) {
+                        replace(transform.tokensAdded, transform.tokensAffected)
+                    }
+                } else {
+                    if (status != pt.TRANSFORM_STATUS_CLEAN || !isPresent(transform.tokensAffected)) {
+                        return false
+                    }
+
+                    if (change.status == pt.TRANSFORM_STATUS_ACCEPTED) {
+                        replace(transform.tokensAffected, transform.tokensAdded)
+                    }
+                }
+
+                statuses.set(transform, change.status)
+                return true
+            })
+        }
+
+        // Set the status of a transformation (accept, reject or clean), emitting events and updating the available cache
+        function setStatus(transform, status) {
+            const eventName = status == pt.TRANSFORM_STATUS_CLEAN ? "undo" : status
+
+            const changed = runAction(eventName, transform, function() {
+                switch (status) {
+                    case pt.TRANSFORM_STATUS_ACCEPTED:
+                        return pt.acceptCorrection(data, transform, apiKey)
+                    case pt.TRANSFORM_STATUS_REJECTED:
+                        return pt.rejectCorrection(data, transform, apiKey)
+                    default:
+                        return pt.resetCorrection(data, transform, apiKey)
+                }
+            })
+
+            if (changed) {
+                updateAvailableCache(transform)
+            }
+
+            return changed
+        }
+
+        // Transformations that are currently accepted/rejected, in the order their status was last set
+        function getDecisions() {
+            const decisions = new Set()
+
+            undoStack.forEach(function(step) {
+                step.forEach(function(change) {
+                    decisions.delete(change.transform)
+
+                    if (change.status != pt.TRANSFORM_STATUS_CLEAN) {
+                        decisions.add(change.transform)
+                    }
+                })
+            })
+
+            return Array.from(decisions)
+        }
+
+        /*
+            Run an accept/reject/undo action on the transform, emitting the resulting events (and notifying the
+            text trackers following its sentence, see trackText):
+
+            "accept" | "reject" | "undo":   { transform, sentence, before, after }
+            "availabilityChange":           { transform, sentence, transforms } (transforms whose isAvailable changed)
+            "textChange":                   { transform, sentence, before, after, text }
+
+            "before" and "after" are the { start, end } character ranges (relative to the document) of the
+            text affected by the action, before and after it was made. "text" is the new text in the "after" range.
+            Redone actions emit "accept"/"reject".
+
+            Events are emitted once the action is made, but before it is recorded as a step: errors thrown by
+            handlers are ignored, so they can't leave the action out of the undo history.
+        */
+        function runAction(eventName, transform, action) {
+            const listening = events.hasListeners()
+            const trackers = getTextTrackers(transform.sentenceIndex)
+
+            // Don't compute anything if nobody is listening
+            if (!listening && trackers.length == 0) {
+                return action() && updatePositionIndex(transform)
+            }
+
+            // Accepting (or undoing an accepted) replacement swaps tokens. Everything else leaves the text as is.
+            const undoingAccept = eventName == "undo" && pt.isAccepted(transform)
+            const swapsTokens = transform.hasReplacement && (eventName == pt.TRANSFORM_STATUS_ACCEPTED || undoingAccept)
+
+            // Text trackers only follow text changes
+            if (!listening && !swapsTokens) {
+                return action() && updatePositionIndex(transform)
+            }
+
+            const sentence = pt.getSentence(data, transform.sentenceIndex)
+            const group = listening ? pt.getOverlappingGroup(sentence, transform) : []
+            const wasAvailable = group.map(function(t) {
+                return t.isAvailable
+            })
+
+            const removed = swapsTokens && undoingAccept ? transform.tokensAdded : transform.tokensAffected
+            const inserted = swapsTokens && !undoingAccept ? transform.tokensAdded : transform.tokensAffected
+
+            var start = getTokensDocumentOffset(sentence, removed)
+
+            if (!action()) {
+                return false
+            }
+
+            updatePositionIndex(transform)
+
+            if (start == -1) {
+                start = getTokensDocumentOffset(sentence, inserted)
+            }
+
+            const before = {
+                start: start,
+                end: start + pt.tokensToString(removed).length
+            }
+
+            const after = {
+                start: start,
+                end: start + pt.tokensToString(inserted).length
+            }
+
+            if (swapsTokens) {
+                trackers.forEach(function(tracker) {
+                    tracker({
+                        before: before,
+                        after: after
+                    })
+                })
+            }
+
+            if (!listening) {
+                return true
+            }
+
+            emitEvent(eventName, {
+                transform: transform,
+                sentence: sentence,
+                before: before,
+                after: after
+            })
+
+            const changed = group.filter(function(t, index) {
+                return t.isAvailable != wasAvailable[index]
+            })
+
+            if (changed.length > 0) {
+                emitEvent("availabilityChange", {
+                    transform: transform,
+                    sentence: sentence,
+                    transforms: changed
+                })
+            }
+
+            if (swapsTokens) {
+                emitEvent("textChange", {
+                    transform: transform,
+                    sentence: sentence,
+                    before: before,
+                    after: after,
+                    text: pt.tokensToString(inserted)
+                })
+            }
+
+            return true
+        }
+
+        /*
+            Follow the text changes ({ before, after }, as in "textChange" events) of a sentence, or of every sentence if
+            sentenceIndex is null. Unlike handlers registered with "on", trackers only make the editor compute the ranges
+            of text changes in the sentences they follow. Returns a function that removes the tracker.
+        */
+        function trackText(sentenceIndex, tracker) {
+            const trackers = textTrackers.get(sentenceIndex) || new Set()
+
+            textTrackers.set(sentenceIndex, trackers.add(tracker))
+
+            return function() {
+                trackers.delete(tracker)
+
+                if (trackers.size == 0 && textTrackers.get(sentenceIndex) === trackers) {
+                    textTrackers.delete(sentenceIndex)
+                }
+            }
+        }
+
+        // The trackers following the sentence's text
+        function getTextTrackers(sentenceIndex) {
+            if (textTrackers.size == 0) {
+                return []
+            }
+
+            return Array.from(textTrackers.get(sentenceIndex) || []).concat(Array.from(textTrackers.get(null) || []))
+        }
+
+        // Emit an editor event, ignoring errors thrown by its handlers
+        function emitEvent(event, payload) {
+            try {
+                events.emit(event, payload)
+            } catch (e) {}
+        }
+
+        // Get the character offset (relative to the document) of the first of the tokens, or -1 if they are not active
+        function getTokensDocumentOffset(sentence, tokens) {
+            if (tokens.length == 0 || !tokensArePresent(tokens, sentence.activeTokens)) {
+                return -1
+            }
+
+            return positionIndex.getOffset(sentence.sentenceIndex) + getTransformOffsetHelper({
+                tokensAffected: tokens
+            }, sentence.activeTokens)
+        }
+
+        // Update the position index with the new length of the transformation's sentence (returns true, for chaining)
+        function updatePositionIndex(transform) {
+            const sentence = pt.getSentence(data, transform.sentenceIndex)
+
+            positionIndex.update(sentence.sentenceIndex, function() {
+                return measureTokens(sentence.activeTokens)
+            })
+            return true
+        }
+
+        /*
+            Register a handler for editor events ("accept", "reject", "undo", "availabilityChange", "textChange").
+            Returns a function that removes the handler.
+        */
+        editor.on = function(event, handler) {
+            return events.on(event, handler)
+        }
+
+        // Remove a handler registered with "on"
+        editor.off = function(event, handler) {
+            events.off(event, handler)
+        }
+
+        /*
+            Restore a session exported by "exportState": reset every transformation to clean, replay the
+            status changes of the undo steps, and let setMetaData rebuild the active tokens and availability
+            (transformations are topologically sorted, so replaying them in index order is safe).
+        */
+        function restoreState(state) {
+            if ((state.version != EDITOR_STATE_VERSION && state.version != 1) ||
+                state.jobId != data.id ||
+                state.numTransformations != flattenedTransforms.length) {
+                throw new Error("Editor state does not match this job")
+            }
+
+            flattenedTransforms.forEach(function(transform) {
+                transform.status = pt.TRANSFORM_STATUS_CLEAN
+            })
+
+            getStateSteps(state).forEach(function(step) {
+                step.forEach(function(change) {
+                    flattenedTransforms[change[0]].status = change[1]
+                })
+            })
+
+            pt.setMetaData(data)
+        }
+
+        /*
+            The undo steps of an exported state, each one a list of [transformIndex, status, previous] changes
+            (version 1 states only list the [transformIndex, status] decisions: each one is a step).
+        */
+        function getStateSteps(state) {
+            if (state.version == 1) {
+                return state.decisions.map(function(decision) {
+                    return [
+                        [decision[0], decision[1], pt.TRANSFORM_STATUS_CLEAN]
+                    ]
+                })
+            }
+
+            return state.steps
+        }
+
+        // Steps of the undo/redo stacks, from their exported [transformIndex, status, previous] changes
+        function decodeSteps(steps) {
+            return steps.map(function(step) {
+                return step.map(function(change) {
+                    return {
+                        transform: flattenedTransforms[change[0]],
+                        status: change[1],
+                        previous: change[2]
+                    }
+                })
+            })
+        }
+
+        // The exported changes of the steps of the undo/redo stacks (see decodeSteps)
+        function encodeSteps(steps) {
+            return steps.map(function(step) {
+                return step.map(function(change) {
+                    return [change.transform.transformIndex, change.status, change.previous]
+                })
+            })
+        }
+
+        /*
+            Export the state of this session (the undo steps, each one the list of [transformIndex, status, previous] changes
+            it made, and the undone steps that can be redone) as compact JSON. Pass it as config.state to interactiveEditor
+            to restore the session later.
+        */
+        editor.exportState = function() {
+            return {
+                version: EDITOR_STATE_VERSION,
+                jobId: data.id,
+                numTransformations: flattenedTransforms.length,
+                steps: encodeSteps(undoStack),
+                redo: encodeSteps(redoStack)
+            }
+        }
+
+        // Render the differences between the original and current text ("html", "ansi" or "unified"), optionally for a single sentence
+        editor.renderDiff = function(format, sentenceIndex) {
+            const sentence = sentenceIndex == undefined ? null : pt.getSentence(data, sentenceIndex)
+            return pt.renderDiff(data, format, sentence)
+        }
+
+        // Get the action assigned to the transformation by the review policy ("accept", "hide" or "review")
+        editor.getPolicyAction = function(transform) {
+            return getPolicyAction(policy, transform)
+        }
+
+        /*
+            Accept every available transformation that the review policy auto-accepts (including those
+            that only become available once others are accepted), as a single step.
+
+            Returns a report: { accepted, hidden, review } (the transformations accepted by this call,
+            the available transformations hidden by the policy, and those left for manual review)
+        */
+        editor.applyPolicy = function() {
+            const accepted = []
+
+            function nextToAccept() {
+                return flattenedTransforms.find(function(transform) {
+                    return transform.isAvailable && getPolicyAction(policy, transform) == POLICY_ACTION_ACCEPT
+                })
+            }
+
+            recordStep(function() {
+                var transform
+
+                while ((transform = nextToAccept()) && editor.acceptCorrection(transform)) {
+                    accepted.push(transform)
+                }
+            })
+
+            return {
+                accepted: accepted,
+                hidden: flattenedTransforms.filter(function(transform) {
+                    return transform.isAvailable && getPolicyAction(policy, transform) == POLICY_ACTION_HIDE
+                }),
+                review: allAvailableTransforms.slice()
+            }
+        }
+
+        // Execute all transformations available (as a single step)
+        editor.applyAll = function(ignoreSuggestions) {
+            editor.acceptWhere(function(transform) {
+                return !ignoreSuggestions || !transform.isSuggestion
+            })
+        }
+
+        // Undo all steps (they can be redone one at a time)
+        editor.undoAll = function() {
+            while (editor.canUndoLastTransform()) {
+                editor.undoLastTransform()
+            }
+        }
+
+        // Get the transformations that must be accepted before this one can be made (in the order they can be accepted)
+        editor.getPrerequisites = function(transform) {
+            return pt.getPrerequisites(pt.getSentence(data, transform.sentenceIndex), transform)
+        }
+
+        // Get the transformations that can only be made once this one has been accepted (in the order they can be accepted)
+        editor.getDependents = function(transform) {
+            return pt.getDependents(pt.getSentence(data, transform.sentenceIndex), transform)
+        }
+
+        /*
+            Accept the transformation, after accepting its prerequisites that aren't accepted yet (in order).
+            Nothing is accepted unless the whole chain can be (ex. a prerequisite was rejected, or an alternative to it accepted).
+            The chain is a single step for undo.
+        */
+        editor.acceptWithPrerequisites = function(transform) {
+            const sentence = pt.getSentence(data, transform.sentenceIndex)
+            const chain = pt.getPrerequisites(sentence, transform).filter(function(prerequisite) {
+                return !pt.isAccepted(prerequisite)
+            }).concat([transform])
+
+            if (!pt.canMakeTransforms(sentence, chain)) {
+                return false
+            }
+
+            return makeStep(chain.map(function(t) {
+                return {
+                    transform: t,
+                    status: pt.TRANSFORM_STATUS_ACCEPTED
+                }
+            }))
+        }
+
+        /*
+            Get the corrections that would be lost if the transformation were rejected: its dependents that are still pending
+            (they can never be made without it). Empty if the transformation can't be rejected.
+        */
+        editor.previewReject = function(transform) {
+            if (!transform.isAvailable || !pt.isClean(transform)) {
+                return []
+            }
+
+            return editor.getDependents(transform).filter(function(dependent) {
+                return pt.isClean(dependent)
+            })
+        }
+
+        /*
+            Get the available alternatives for the tokens affected by the transformation (itself included), best first:
+            corrections before suggestions, replacements before comments, then in the order Perfect Tense made them.
+
+            Each option is { transform, text }, "text" being the text of the sentence once the option is chosen.
+        */
+        editor.getAlternatives = function(transform) {
+            const sentence = pt.getSentence(data, transform.sentenceIndex)
+
+            return editor.getOverlappingTransforms(transform).filter(function(alternative) {
+                return alternative.isAvailable && (!ignoreNoReplacement || alternative.hasReplacement)
+            }).sort(compareAlternatives).map(function(alternative) {
+                const tokens = alternative.hasReplacement ?
+                    replaceTokens(sentence.activeTokens, alternative.tokensAffected, alternative.tokensAdded) :
+                    sentence.activeTokens
+
+                return {
+                    transform: alternative,
+                    text: pt.tokensToString(tokens)
+                }
+            })
+        }
+
+        /*
+            Accept the transformation and reject its available alternatives, as a single step (undone together).
+            Returns false (changing nothing) if the transformation is not available.
+        */
+        editor.chooseAlternative = function(transform) {
+            if (!transform.isAvailable) {
+                return false
+            }
+
+            // Alternatives are rejected first: they stop being available once the transformation is accepted
+            const changes = editor.getOverlappingTransforms(transform).filter(function(alternative) {
+                return alternative !== transform && alternative.isAvailable
+            }).map(function(alternative) {
+                return {
+                    transform: alternative,
+                    status: pt.TRANSFORM_STATUS_REJECTED
+                }
+            })
+
+            return makeStep(changes.concat([{
+                transform: transform,
+                status: pt.TRANSFORM_STATUS_ACCEPTED
+            }]))
+        }
+
+        function compareAlternatives(t1, t2) {
+            return (!!t1.isSuggestion - !!t2.isSuggestion) ||
+                (!!t2.hasReplacement - !!t1.hasReplacement) ||
+                (t1.transformIndex - t2.transformIndex)
+        }
+
+        /*
+            Create a review cursor, moving through the available transformations in document order (by offset, then
+            in the order Perfect Tense made them).
+
+            The cursor's position is a place in the text, not an index in the list of available transformations: it
+            follows text changes, and accepting/rejecting the current transformation (or anything else) doesn't move it.
+            next() continues from there.
+
+            next(), prev(), seekToOffset(offset), seekToSentence(sentenceIndex) and skip() return the transformation
+            the cursor moved to (null if there is none: next/prev/skip then leave the cursor where it was, and seeking
+            leaves it at the offset or start of the sentence).
+
+            The position is kept relative to its sentence, so only changes to that sentence need to be followed.
+            close() stops following them (a cursor that is never closed only costs anything when its sentence changes,
+            and is discarded along with the editor).
+
+            @param {boolean} [options.ignoreSuggestions=false]  Skip suggestions
+            @param {boolean} [options.wrap=false]               Wrap around at the end (and start) of the document
+        */
+        editor.createCursor = function(options) {
+            options = options || {}
+
+            const START = {
+                sentenceIndex: 0,
+                offset: -1,
+                transformIndex: -1,
+                transform: null
+            }
+
+            const END = {
+                sentenceIndex: data.rulesApplied.length - 1,
+                offset: Infinity,
+                transformIndex: Infinity,
+                transform: null
+            }
+
+            // Transformations skipped with skip() (left out until clearSkipped is called)
+            const skipped = new Set()
+
+            // Position in the text: the offset is relative to the start of the sentence
+            var position = null
+            var untrack = null
+            var closed = false
+
+            // Keep the position at the same place in the text when its sentence changes
+            function follow(event) {
+                const sentenceStart = positionIndex.getOffset(position.sentenceIndex)
+
+                position = Object.assign({}, position, {
+                    offset: shiftOffset(sentenceStart + position.offset, event) - sentenceStart
+                })
+            }
+
+            function setPosition(newPosition) {
+                const sentenceChanged = !position || position.sentenceIndex != newPosition.sentenceIndex
+
+                position = newPosition
+
+                if (sentenceChanged && !closed) {
+                    if (untrack) {
+                        untrack()
+                    }
+
+                    untrack = trackText(position.sentenceIndex, follow)
+                }
+            }
+
+            setPosition(START)
+
+            function isCandidate(transform) {
+                return !skipped.has(transform) && !(options.ignoreSuggestions && transform.isSuggestion)
+            }
+
+            function getPosition(transform) {
+                return {
+                    sentenceIndex: transform.sentenceIndex,
+                    offset: editor.getTransformOffset(transform),
+                    transformIndex: transform.transformIndex,
+                    transform: transform
+                }
+            }
+
+            function comparePositions(p1, p2) {
+                return (p1.sentenceIndex - p2.sentenceIndex) || (p1.offset - p2.offset) || (p1.transformIndex - p2.transformIndex)
+            }
+
+            // The closest candidate after (direction = 1) or before (direction = -1) the position, or null
+            function find(from, direction) {
+                var sentenceIndex = from.sentenceIndex
+
+                while (sentenceIndex >= 0 && sentenceIndex < data.rulesApplied.length) {
+                    const range = getAvailableRange(sentenceIndex)
+
+                    var best = null
+
+                    allAvailableTransforms.slice(range.start, range.end).forEach(function(transform) {
+                        if (isCandidate(transform)) {
+                            const candidate = getPosition(transform)
+
+                            if (direction * comparePositions(candidate, from) > 0 &&
+                                (!best || direction * comparePositions(candidate, best) < 0)) {
+                                best = candidate
+                            }
+                        }
+                    })
+
+                    if (best) {
+                        return best
+                    }
+
+                    // Jump to the closest sentence with available transformations
+                    const nextTransform = allAvailableTransforms[direction > 0 ? range.end : range.start - 1]
+                    sentenceIndex = nextTransform ? nextTransform.sentenceIndex : -1
+                }
+
+                return null
+            }
+
+            function move(from, direction) {
+                const found = find(from, direction) || (options.wrap ? find(direction > 0 ? START : END, direction) : null)
+
+                if (found) {
+                    setPosition(found)
+                }
+
+                return found ? found.transform : null
+            }
+
+            const cursor = {
+
+                // The transformation at the cursor, or null if there is none (or it is no longer available)
+                current: function() {
+                    const transform = position.transform
+                    return transform && isReviewable(transform) && isCandidate(transform) ? transform : null
+                },
+
+                // Move to the next transformation
+                next: function() {
+                    return move(position, 1)
+                },
+
+                // Move to the previous transformation
+                prev: function() {
+                    return move(position, -1)
+                },
+
+                // Move to the first transformation starting at or after the offset (ex. the caret)
+                seekToOffset: function(offset) {
+                    const sentenceIndex = positionIndex.findSentence(offset)
+
+                    setPosition(sentenceIndex == -1 ? (offset < 0 ? START : END) : {
+                        sentenceIndex: sentenceIndex,
+                        offset: offset - positionIndex.getOffset(sentenceIndex),
+                        transformIndex: -1,
+                        transform: null
+                    })
+
+                    return move(position, 1)
+                },
+
+                // Move to the first transformation of the sentence (or of the following sentences)
+                seekToSentence: function(sentenceIndex) {
+                    setPosition({
+                        sentenceIndex: sentenceIndex,
+                        offset: 0,
+                        transformIndex: -1,
+                        transform: null
+                    })
+
+                    return move(position, 1)
+                },
+
+                // Leave the current transformation as it is (neither accepted nor rejected), and move to the next one
+                skip: function() {
+                    const transform = cursor.current()
+
+                    if (transform) {
+                        skipped.add(transform)
+                    }
+
+                    return cursor.next()
+                },
+
+                // Transformations skipped so far
+                getSkipped: function() {
+                    return Array.from(skipped)
+                },
+
+                // Include skipped transformations again
+                clearSkipped: function() {
+                    skipped.clear()
+                },
+
+                // Stop following the editor (call this once the cursor is no longer used)
+                close: function() {
+                    closed = true
+
+                    if (untrack) {
+                        untrack()
+                        untrack = null
+                    }
+                }
+            }
+
+            return cursor
+        }
+
+        /*
+            Bulk operations, on the transformations in scope:
+
+                function(transform)             Transformations for which the predicate returns true
+                { start, end }                  Transformations inside the character range (of the current text)
+                { <key>: value, ... }           Transformations matching every key, as in review policy rules
+                                                (ex. { sentenceIndex: 2 }, { category: "Spelling" }, { ruleId: [12, 34] })
+
+            Keys can be combined with a range (ex. { start: 0, end: 500, isSuggestion: false }). The range follows the
+            text as it changes, so corrections made inside it stay inside it.
+
+            Each operation is a single step (undone together), and returns the transformations it changed.
+        */
+
+        // Accept the available transformations in scope (including those that become available as others are accepted)
+        editor.acceptWhere = function(scope) {
+            return changeWhere(scope, function(matches, changed) {
+                forEachAvailable(matches, function(transform) {
+                    if (editor.acceptCorrection(transform)) {
+                        changed.push(transform)
+                    }
+                })
+            })
+        }
+
+        // Reject the available transformations in scope
+        editor.rejectWhere = function(scope) {
+            return changeWhere(scope, function(matches, changed) {
+                forEachAvailable(matches, function(transform) {
+                    if (editor.rejectCorrection(transform)) {
+                        changed.push(transform)
+                    }
+                })
+            })
+        }
+
+        // Reset the accepted/rejected transformations in scope to clean (those that can't be undone, because a decision out of scope depends on them, are left as they are)
+        editor.undoWhere = function(scope) {
+            return changeWhere(scope, function(matches, changed) {
+
+                // Latest decisions first: they may depend on earlier ones
+                getDecisions().reverse().forEach(function(transform) {
+                    if (matches(transform) && makeStep([{
+                            transform: transform,
+                            status: pt.TRANSFORM_STATUS_CLEAN
+                        }])) {
+                        changed.push(transform)
+                    }
+                })
+            })
+        }
+
+        /*
+            Run fn as a transaction: its accept/reject calls are a single step, committed if they all succeed. If one of them
+            returns false, fn returns false or fn throws, everything fn changed is rolled back (statuses, active tokens and
+            availability are back to where they were before the transaction, and the error is rethrown).
+
+            Status updates are only persisted once the transaction commits. Steps can't be undone or redone while it runs.
+            Transactions can be nested: an inner transaction that fails only rolls back its own changes.
+
+            Returns true if the transaction was committed, else false.
+        */
+        editor.transaction = function(fn) {
+            const outer = transaction
+            const outerRecording = recording
+            const previousRedoStack = redoStack
+            const holding = !heldUpdates.has(data)
+
+            recording = recording || []
+
+            if (holding) {
+                heldUpdates.set(data, [])
+            }
+
+            transaction = {
+                failed: false
+            }
+
+            const recordingStart = recording.length
+            const held = heldUpdates.get(data)
+            const heldStart = held.length
+
+            var committed = false
+
+            try {
+                committed = fn() !== false && !transaction.failed
+            } finally {
+                if (!committed) {
+                    reverseChanges(recording.splice(recordingStart)).forEach(function(change) {
+                        setStatus(change.transform, change.status)
+                    })
+
+                    held.length = heldStart
+                    redoStack = previousRedoStack
+                }
+
+                transaction = outer
+
+                if (!outerRecording) {
+                    if (recording.length > 0) {
+                        undoStack.push(recording)
+                    }
+
+                    recording = null
+                }
+
+                if (holding) {
+                    heldUpdates.delete(data)
+
+                    held.forEach(function(update) {
+                        updateQueue.enqueue(update.payload, update.apiKey, update.previousStatus)
+                    })
+                }
+            }
+
+            return committed
+        }
+
+        // Run a bulk operation (change(matches, changed)) as a single step
+        function changeWhere(scope, change) {
+            const matcher = createScopeMatcher(scope)
+            const changed = []
+
+            try {
+                recordStep(function() {
+                    change(matcher.matches, changed)
+                })
+            } finally {
+                matcher.close()
+            }
+
+            return changed
+        }
+
+        /*
+            Call fn(transform) for each available transformation in scope, in transformation index order. Transformations
+            that become available along the way (always in the same overlapping group) are visited too, moving the search
+            back to the earliest of them.
+        */
+        function forEachAvailable(matches, fn) {
+            var transform = findAvailable(0, matches)
+
+            while (transform) {
+                const group = pt.getOverlappingGroup(pt.getSentence(data, transform.sentenceIndex), transform)
+                const wasAvailable = group.map(function(t) {
+                    return t.isAvailable
+                })
+
+                var fromIndex = transform.transformIndex + 1
+
+                fn(transform)
+
+                group.forEach(function(t, index) {
+                    if (t.isAvailable && !wasAvailable[index] && t.transformIndex < fromIndex) {
+                        fromIndex = t.transformIndex
+                    }
+                })
+
+                transform = findAvailable(fromIndex, matches)
+            }
+        }
+
+        // Find the first available transformation in scope, starting at a transformation index
+        function findAvailable(fromIndex, matches) {
+            for (var position = findAvailablePosition(allAvailableTransforms, fromIndex); position < allAvailableTransforms.length; position++) {
+                if (matches(allAvailableTransforms[position])) {
+                    return allAvailableTransforms[position]
+                }
+            }
+
+            return null
+        }
+
+        // Create a matcher ({ matches(transform), close() }) for the scope of a bulk operation
+        function createScopeMatcher(scope) {
+            if (typeof scope == "function") {
+                return {
+                    matches: scope,
+                    close: function() {}
+                }
+            }
+
+            scope = scope || {}
+
+            const match = Object.assign({}, scope)
+
+            delete match.start
+            delete match.end
+
+            if (scope.start == undefined && scope.end == undefined) {
+                return {
+                    matches: function(transform) {
+                        return policyRuleMatches(match, transform)
+                    },
+                    close: function() {}
+                }
+            }
+
+            var range = {
+                start: scope.start || 0,
+                end: scope.end == undefined ? Infinity : scope.end
+            }
+
+            const untrack = trackText(null, function(event) {
+                range = {
+                    start: shiftOffset(range.start, event),
+                    end: shiftOffset(range.end, event)
+                }
+            })
+
+            return {
+                matches: function(transform) {
+                    if (!policyRuleMatches(match, transform)) {
+                        return false
+                    }
+
+                    const span = getTransformSpan(transform)
+
+                    return span != null && span.start >= range.start && span.end <= range.end
+                },
+                close: untrack
+            }
+        }
+
+        /*
+            Get the current { start, end } character range of the transformation's text (relative to the document,
+            without trailing whitespace): its added tokens once accepted, else its affected tokens. Null if they aren't in the text.
+        */
+        function getTransformSpan(transform) {
+            const tokens = pt.isAccepted(transform) && transform.hasReplacement ? transform.tokensAdded : transform.tokensAffected
+            const start = getTokensDocumentOffset(pt.getSentence(data, transform.sentenceIndex), tokens)
+
+            if (start == -1) {
+                return null
+            }
+
+            return {
+                start: start,
+                end: start + pt.tokensToString(tokens).replace(/\s+$/, "").length
+            }
+        }
+
+        // Move a character offset to follow a text change (offsets inside the changed text move to its start)
+        function shiftOffset(offset, event) {
+            if (event.before.end <= offset) {
+                return offset + event.after.end - event.before.end
+            }
+
+            return event.before.start < offset ? event.after.start : offset
+        }
+
+        // Get the character offset of the correct relative to the entire document (-1 if it can't currently be made)
+        editor.getTransformDocumentOffset = function(transform) {
+            const offset = editor.getTransformOffset(transform)
+            return offset == -1 ? -1 : positionIndex.getOffset(transform.sentenceIndex) + offset
+        }
+
+        // Get the (0-based) line and character of the transformation in the current text (null if it can't currently be made)
+        editor.getTransformPosition = function(transform) {
+            const offset = editor.getTransformDocumentOffset(transform)
+            return offset == -1 ? null : positionIndex.getPosition(offset)
+        }
+
+        // Get the (0-based) line and character of a character offset in the current text (null if out of range)
+        editor.getPositionAt = function(offset) {
+            return positionIndex.getPosition(offset)
+        }
+
+        // Get the sentence containing the character offset of the current text (null if out of range)
+        editor.getSentenceAtOffset = function(offset) {
+            const sentenceIndex = positionIndex.findSentence(offset)
+            return sentenceIndex == -1 ? null : pt.getSentence(data, sentenceIndex)
+        }
+
+        /*
+            Get the available transformations whose affected text (not counting trailing whitespace) contains
+            the character offset of the current text (ex. to review the correction a user clicked on).
+        */
+        editor.getTransformsAtOffset = function(offset) {
+            const sentence = editor.getSentenceAtOffset(offset)
+
+            if (!sentence) {
+                return []
+            }
+
+            const local = offset - positionIndex.getOffset(sentence.sentenceIndex)
+
+            return sentence.transformations.filter(function(transform) {
+                if (!isReviewable(transform)) {
+                    return false
+                }
+
+                const start = getTransformOffsetHelper(transform, sentence.activeTokens)
+                const text = pt.getAffectedText(transform)
+
+                return local >= start && local < start + (text.trimEnd().length || text.length)
+            })
+        }
+
+        // Get the first available transformation at the character offset of the current text (null if there is none)
+        editor.getTransformAtOffset = function(offset) {
+            return editor.getTransformsAtOffset(offset)[0] || null
+        }
+
+        return editor
+    }
+
+    /**
+     * Get the current text of the job, considering transformations that have been accepted or rejected.
+     *
+     * @param {Object} data     Result returned from submitJob
+     *
+     * @return {string}         current text of the job    
+     */
+    pt.getCurrentText = function(data) {
+        return data.rulesApplied.map(pt.getCurrentSentenceText).join("")
+    }
+
+    /**
+     * Accepts the transformation and modifies the state of the job to reflect the change
+     *
+     *
+     * @param {Object} data           Result returned from submitJob
+     * @param {Object} transform      The transformation to be accepted
+     * @param {string} [apiKey]       Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
+     *
+     * @return {boolean}              True if successfully accepted, else false
+     */
+    pt.acceptCorrection = function(data, transform, apiKey) {
+        const sentence = data.rulesApplied[transform.sentenceIndex]
+
+        if (transform.isAvailable) {
+
+            // The sentence text and offset are only needed for the status update
+            const persist = canPersist()
+            const prevText = persist ? pt.getCurrentSentenceText(sentence) : null
+            const offset = persist ? pt.getTransformOffset(data, transform) : -1
+            const prevStatus = transform.status
+
+            makeTransform(sentence, transform)
+
+            transform.status = pt.TRANSFORM_STATUS_ACCEPTED
+
+            if (persist) {
+                saveTransformStatus(data, transform, apiKey, prevText, offset, prevStatus)
+            }
+
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * Rejects the transformation and modifies the state of the job to reflect the change
+     *
+     *
+     * @param {Object} data         Result returned from submitJob
+     * @param {Object} transform    The transformation to be rejected
+     * @param {string} [apiKey]     Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
+     *
+     * @return {boolean}            True if successfully rejected, else false
+     */
+    pt.rejectCorrection = function(data, transform, apiKey) {
+        const sentence = data.rulesApplied[transform.sentenceIndex]
+
+        if (transform.isAvailable) {
+
+            const persist = canPersist()
+            const prevText = persist ? pt.getCurrentSentenceText(sentence) : null
+            const offset = persist ? pt.getTransformOffset(data, transform) : -1
+            const prevStatus = transform.status
+
+            // Rejecting a transformation does not affect which transformations are currently available
+            transform.status = pt.TRANSFORM_STATUS_REJECTED
+            transform.isAvailable = false
+
+            if (persist) {
+                saveTransformStatus(data, transform, apiKey, prevText, offset, prevStatus)
+            }
+
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * Resets the transformation to "clean" and modifies the state of the job to reflect the change
+     *
+     *
+     * @param {Object} data          Result returned from submitJob
+     * @param {Object} transform     The transformation to be reset
+     * @param {string} [apiKey]      Optional user API Key to track transformation status (found at https://app.perfecttense.com/home)
+     *
+     * @return {boolean}             True if successfully reset, else false
+     */
+    pt.resetCorrection = function(data, transform, apiKey) {
+
+        const sentence = data.rulesApplied[transform.sentenceIndex]
+
+        if (pt.canUndoTransform(sentence, transform)) {
+            const prevStatus = transform.status
+
+            undoTransform(sentence, transform)
+
+            transform.status = pt.TRANSFORM_STATUS_CLEAN
+
+            if (canPersist()) {
+
+                const text = pt.getCurrentSentenceText(sentence)
+                const offset = pt.getTransformOffset(data, transform)
+
+                saveTransformStatus(data, transform, apiKey, text, offset, prevStatus)
+            }
+
+            return true
+        }
+
+        return false
+    }
+
+    /*********************************************************************
+                     Perfect Tense Result Utilities
+    **********************************************************************/
+
+    /**
+     * Returns the number of sentences in the job.
+     *
+     *
+     * @param {Object} data     Result returned from submitJob
+     *
+     * @return {number}         The number of sentences in the job
+     */
+    pt.getNumSentences = function(data) {
+        return data.rulesApplied.length
+    }
+
+    /**
+     * Returns the number of transformations in a sentence.
+     *
+     *
+     * @param {Object} sentence     A sentence object
+     *
+     * @return {number}             The number of transformations in the sentence
+     */
+    pt.getNumTransformations = function(sentence) {
+        return sentence.transformations.length
+    }
+
+    /**
+     * Returns the transformation at the specified index in the sentence.
+     *
+     *
+     * @param {Object} sentence             A sentence object
+     * @param {number} transformIndex       The transformation index
+     *
+     * @return {number}                     The number of transformations in the sentence
+     */
+    pt.getTransformationAtIndex = function(sentence, transformIndex) {
+        return sentence.transformations[transformIndex]
+    }
+
+    /**
+     * Gets the sentence at the specified index.
+     *
+     *
+     * @param {Object} data     Result returned from submitJob
+     *
+     * @return {Object}         The sentence object at the specified index
+     */
+    pt.getSentence = function(data, sentenceIndex) {
+        return data.rulesApplied[sentenceIndex]
+    }
+
+    /**
+     * Get all transformations that overlap with the parameter transform.
+     *
+     * Ex: "He hzve be there before"
+     * t1: "hzve" -> "have"
+     * t2: "have be" -> "has been"
+     *
+     * getOverlappingGroup(sentence, t1) will return [t1, t2]
+     *
+     *
+     * @param {Object} sentence     A sentence from the submitJob response (data.rulesApplied[index])
+     * @param {Object} transform    A transformation inside that sentence (sentence.transformations[index])
+     *
+     * @return {Object}             An array of transformations that overlap with the parameter transformation
+     */
+    pt.getOverlappingGroup = function(sentence, transform) {
+        return sentence.groups[transform.groupId]
+    }
+
+    /**
+     * Get the transformations that must be accepted before the parameter transform can be made
+     * (the transformations adding the tokens it affects, the ones adding the tokens those affect, etc.).
+     *
+     * Ex: "He hzve be there before"
+     * t1: "hzve" -> "have"
+     * t2: "have be" -> "has been"
+     *
+     * getPrerequisites(sentence, t2) will return [t1]
+     *
+     * Prerequisites are returned regardless of their current status.
+     *
+     *
+     * @param {Object} sentence     A sentence from the submitJob response (data.rulesApplied[index])
+     * @param {Object} transform    A transformation inside that sentence (sentence.transformations[index])
+     *
+     * @return {Object}             An array of transformations, in the order they can be accepted
+     */
+    pt.getPrerequisites = function(sentence, transform) {
+        const needed = new Set(transform.tokensAffected.map(function(token) {
+            return token.id
+        }))
+
+        // Transformations only depend on earlier ones, so walking the group backwards finds them all
+        return pt.getOverlappingGroup(sentence, transform).reduceRight(function(prerequisites, member) {
+            const addsNeeded = member.transformIndex < transform.transformIndex && member.tokensAdded.some(function(token) {
+                return needed.has(token.id)
+            })
+
+            if (addsNeeded) {
+                member.tokensAffected.forEach(function(token) {
+                    needed.add(token.id)
+                })
+
+                prerequisites.unshift(member)
+            }
+
+            return prerequisites
+        }, [])
+    }
+
+    /**
+     * Get the transformations that depend on the parameter transform (that can only be made once it has been accepted),
+     * directly or through other transformations.
+     *
+     * Ex: "He hzve be there before"
+     * t1: "hzve" -> "have"
+     * t2: "have be" -> "has been"
+     *
+     * getDependents(sentence, t1) will return [t2]
+     *
+     * Dependents are returned regardless of their current status.
+     *
+     *
+     * @param {Object} sentence     A sentence from the submitJob response (data.rulesApplied[index])
+     * @param {Object} transform    A transformation inside that sentence (sentence.transformations[index])
+     *
+     * @return {Object}             An array of transformations, in the order they can be accepted
+     */
+    pt.getDependents = function(sentence, transform) {
+        const produced = new Set(transform.tokensAdded.map(function(token) {
+            return token.id
+        }))
+
+        return pt.getOverlappingGroup(sentence, transform).filter(function(member) {
+            const usesProduced = member.transformIndex > transform.transformIndex && member.tokensAffected.some(function(token) {
+                return produced.has(token.id)
+            })
+
+            if (usesProduced) {
+                member.tokensAdded.forEach(function(token) {
+                    produced.add(token.id)
+                })
+            }
+
+            return usesProduced
+        })
+    }
+
+    /**
+     * Returns true if the transformations can all be accepted, one after the other, in the current state of the sentence.
+     *
+     *
+     * @param {Object} sentence     A sentence from the submitJob response (data.rulesApplied[index])
+     * @param {Object} transforms   Transformations inside that sentence, in the order they would be accepted
+     *
+     * @return {boolean}            True if every transformation is clean and can be made after the previous ones, else false
+     */
+    pt.canMakeTransforms = function(sentence, transforms) {
+        var tokens = sentence.activeTokens
+
+        return transforms.every(function(transform) {
+            if (!pt.isClean(transform) || !tokensArePresent(transform.tokensAffected, tokens)) {
+                return false
+            }
+
+            if (transform.hasReplacement) {
+                tokens = replaceTokens(tokens, transform.tokensAffected, transform.tokensAdded)
+            }
+
+            return true
+        })
+    }
+
+
+    /**
+     * Get the text of the sentence in its current state, considering accepted/rejected corrections.
+     *
+     *
+     * @param {Object} sentence    Sentence object
+     *
+     * @return {string}            The current text of the sentence
+     */
+    pt.getCurrentSentenceText = function(sentence) {
+        return pt.tokensToString(sentence.activeTokens)
+    }
+
+    /**
+     * Get the original text of a sentence, prior to any corrections.
+     *
+     *
+     * @param {Object} sentence    Sentence object
+     *
+     * @return {string}            The original text of the sentence
+     */
+    pt.getOriginalSentenceText = function(sentence) {
+        return pt.tokensToString(sentence.originalSentence)
+    }
+
+    /**
+     * Get the current text of an entire document/job, considering accepted/rejected corrections.
+     *
+     *
+     * @param {Object} data        Result returned from submitJob
+     *
+     * @return {string}            The current text of the job
+     */
+    pt.getCurrentText = function(data) {
+        return data.rulesApplied.map(pt.getCurrentSentenceText).join("")
+    }
+
+
+    /**
+     * Get the original text of an entire document/job, prior to any corrections.
+     *
+     *
+     * @param {Object} data        Result returned from submitJob
+     *
+     * @return {string}            The original text of the job
+     */
+    pt.getOriginalText = function(data) {
+        return data.rulesApplied.map(pt.getOriginalSentenceText).join("")
+    }
+
+    /**
+     * Returns true if the parameter transformations affect the exact same tokens in the sentence.
+     *
+     *
+     * @param {Object} transform1        The first transformation
+     * @param {Object} transform2        The second transformation
+     *
+     * @return {boolean}                 True if the transformations effect the exact same tokens, else false
+     */
+    pt.affectsSameTokens = function(transform1, transform2) {
+        return transform1.sentenceIndex == transform2.sentenceIndex &&
+            transform1.tokensAffected.length == transform2.tokensAffected.length &&
+            transform1.tokensAffected.every(function(token, index) {
+                return token.id == transform2.tokensAffected[index].id
+            })
+    }
+
+    /**
+     * Get the sentence index of the parameter transformation.
+     *
+     *
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {number}                The index of the sentence in the job (0-based)
+     */
+    pt.getSentenceIndex = function(transform) {
+        return transform.sentenceIndex
+    }
+
+    /**
+     *  Get the index of the parameter transformation in the current sentence.
+     *
+     *
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {number}                The index of the transformation in the sentence (0-based)
+     */
+    pt.getTransformIndexInSentence = function(transform) {
+        return transform.indexInSentence
+    }
+
+    /**
+     * Get the index of the parameter transformation in the job.
+     *
+     * Note that this is a 0-based index relative to ALL transformations in the job,
+     * not just those in the current sentence.
+     *
+     *
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {number}                The index of the transformation in the job (0-based)
+     */
+    pt.getTransformIndex = function(transform) {
+        return transform.transformIndex
+    }
+
+    /**
+     * Get the "tokens added" field as text (from an array of tokens).
+     *
+     *
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {string}                The tokens added as a string
+     */
+    pt.getAddedText = function(transform) {
+        return pt.tokensToString(transform.tokensAdded)
+    }
+
+    /**
+     * Get the "tokens affected" field as text (from an array of tokens).
+     *
+     *
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {string}                The tokens affected as a string
+     */
+    pt.getAffectedText = function(transform) {
+        return pt.tokensToString(transform.tokensAffected)
+    }
+
+    /**
+     * Returns true if the transformation is "clean", i.e. has not been accepted or rejected by the user.
+     *
+     *
+     * @param {Object} transform        The transformation in question
+     *
+     * @return {boolean}                True if the transform is clean, else false
+     */
+    pt.isClean = function(transform) {
+        return transform.status == pt.TRANSFORM_STATUS_CLEAN
+    }
+
+    /**
+     * Returns true if the transformation has been accepted by the user
+     *
+     *
+     * @param {Object} transform        The transformation in question
+     *
+     * @return {boolean}                True if the transform has been accepted, else false
+     */
+    pt.isAccepted = function(transform) {
+        return transform.status == pt.TRANSFORM_STATUS_ACCEPTED
+    }
+
+    /**
+     * Returns true if the transformation has been rejected by the user
+     *
+     *
+     * @param {Object} transform        The transformation in question
+     *
+     * @return {boolean}                True if the transform has been rejected, else false
+     */
+    pt.isRejected = function(transform) {
+        return transform.status == pt.TRANSFORM_STATUS_REJECTED
+    }
+
+    /**
+     * Returns true if the transformation can be made, given the current state of the sentence.
+     *
+     * This is checked by verifying that all of the "tokensAffected" in the transformation are present
+     * in the active working set of tokens in the sentence.
+     *
+     * @param {Object} transform        The transformation in question
+     *
+     * @return {boolean}                True if the transform can be made, else false
+     */
+    pt.canMakeTransform = function(sentence, transform) {
+        return tokensArePresent(transform.tokensAffected, sentence.activeTokens)
+    }
+
+    /**
+     * Returns true if the transformation can be undone, given the current state of the sentence.
+     *
+     * This is checked by verifying that all of the "tokensAdded" in the transformation are present
+     * in the active working set of tokens in the sentence (if there are any).
+     *
+     * @param {Object} transform        The transformation in question
+     *
+     * @return {boolean}                True if the transform can be undone, else false
+     */
+    pt.canUndoTransform = function(sentence, transform) {
+        return !transform.hasReplacement ||
+            (pt.isAccepted(transform) && tokensArePresent(transform.tokensAdded, sentence.activeTokens)) ||
+            (pt.isRejected(transform) && tokensArePresent(transform.tokensAffected, sentence.activeTokens))
+    }
+
+
+    /**
+     * Get the character offset of the sentence, given the current state of the job.
+     *
+     * @param {Object} data        Result returned from submitJob
+     * @param {Object} sentence    The sentence in question
+     *
+     * @return {number}            The character offset of the sentence
+     */
+    pt.getSentenceOffset = function(data, sentence) {
+
+        var fullText = ""
+        var offset = -1
+
+        data.rulesApplied.find(function(s, sentIndex) {
+            if (sentIndex == sentence.sentenceIndex) {
+                offset = fullText.length
+                return true
+            } else {
+                fullText += pt.getCurrentSentenceText(s)
+                return false
+            }
+        })
+
+        return offset
+    }
+
+    /**
+     * Get the character offset of the transformation relative to the sentence start
+     * given the current state of the job.
+     *
+     * @param {Object} data        Result returned from submitJob
+     * @param {Object} sentence    The transformation in question
+     *
+     * @return {number}            The character offset of the transformation (relative to sentence start), or -1 if it is not present
+     */
+    pt.getTransformOffset = function(data, transform) {
+
+        const sentence = data.rulesApplied[transform.sentenceIndex]
+
+        if (pt.canMakeTransform(sentence, transform)) {
+            const activeTokens = sentence.activeTokens
+            return getTransformOffsetHelper(transform, activeTokens)
+        }
+
+        return -1
+    }
+
+    /**
+     * Join tokens into a single string.
+     *
+     * This will map each token to [token.value] + [token.after] and join together.
+     *
+     * @param {Object} tokens      The tokens to turn into a string
+     *
+     * @return {string}            The tokens joined as a single string
+     */
+    pt.tokensToString = function(tokens) {
+        return tokens.map(function(token) {
+            return token.value + token.after
+        }).join("")
+    }
+
+    /**
+     * Set job metadata in-place for easier interaction/manipulation.
+     *
+     * Main steps:
+     *
+     * 1. 
+     *     Some transformations overlap/are derived from the result of others. 
+     *     Iterate through all transformations and mark transformations that are 
+     *     dependent on others as being members of the same group.
+     *
+     *         ex: "He hzve be there befor"
+     *
+     *         Transformations:
+     *             hzve -> have
+     *             have be -> has been
+     *             befor -> before
+     *         Groups:
+     *             0:
+     *                 hzve -> have
+     *                 have be -> has been
+     *             1:
+     *                 befor -> before
+     * 2.
+     *     Set transform -> sentence/transform index and sentence -> sentenceIndex for quicker referencing
+     * 3.
+     *     Update the "active tokens" in the sentence based on the current status of the transformations
+     *     (useful if recovering a previous job that already has transformations set to accept/reject)
+     *
+     *     If not recovering a previous job, set the active tokens to the initial set.
+     *
+     *
+     * @param {Object} data        Result returned from submitJob
+     */
+    pt.setMetaData = function(data) {
+
+        if (!data.rulesApplied) return
+
+        // Count all transforms seen (accross all sentences) and assign index (used as unique id)
+        var transformCounter = 0
+
+        data.rulesApplied.forEach(function(sentence, sentenceIndex) {
+
+            // current working set of tokens in the sentence
+            sentence.activeTokens = sentence.originalSentence
+
+            // hold reference to index
+            sentence.sentenceIndex = sentenceIndex
+
+            // Assign indices and status to each transform
+            sentence.transformations.forEach(function(transform, transformIndex) {
+
+                // Set indices for future reference
+                transform.transformIndex = transformCounter++ // index relative to flattened list of all transforms
+                    transform.indexInSentence = transformIndex // index in current sentence
+                transform.sentenceIndex = sentenceIndex // sentence index
+
+                if (!transform.status) {
+                    transform.status = pt.TRANSFORM_STATUS_CLEAN
+                }
+
+                /*
+                    Since the transformations are topologically sorted (they are in the order that they were made by Perfect Tense),
+                    we can just iterate through in-order and make replacements if the state is set to accepted
+                */
+                updateActiveTokens(sentence, transform)
+            })
+
+            groupTransforms(sentence)
+
+            setIsAvailable(sentence.transformations, sentence)
+        })
+
+        data.hasMeta = true
+    }
+
+    /**
+     * Get the differences between the original and current text of the sentence, as diff segments:
+     *
+     *     { type: "equal" | "delete" | "insert", text, transformIndex, sentenceIndex }
+     *
+     * The diff is built from the transformations (not by comparing strings): original tokens replaced
+     * by an accepted transformation are "delete" segments, the tokens it added are "insert" segments.
+     * Tokens that were added and later replaced again (ex. "hzve" -> "have" -> "has") never appear.
+     *
+     * @param {Object} sentence        The sentence in question
+     *
+     * @return {Array}                 The diff segments
+     */
+    pt.getDiffSegments = function(sentence) {
+
+        // Every original/added token, in order. Deleted tokens stay in place, marked with the transformation that deleted them.
+        var entries = sentence.originalSentence.map(function(token) {
+            return {
+                token: token,
+                type: DIFF_EQUAL,
+                transformIndex: null
+            }
+        })
+
+        // Accepted transformations are topologically sorted, so they can be replayed in order
+        sentence.transformations.forEach(function(transform) {
+            if (!transform.hasReplacement || !pt.isAccepted(transform)) {
+                return
+            }
+
+            const live = entries.filter(function(entry) {
+                return entry.type != DIFF_DELETE
+            })
+
+            const affectedIds = transform.tokensAffected.map(function(token) {
+                return token.id
+            })
+
+            const affected = live.filter(function(entry) {
+                return affectedIds.indexOf(entry.token.id) != -1
+            })
+
+            if (affected.length == 0) {
+                return
+            }
+
+            const insertAt = entries.indexOf(affected[affected.length - 1]) + 1
+            const added = transform.tokensAdded.map(function(token) {
+                return {
+                    token: token,
+                    type: DIFF_INSERT,
+                    transformIndex: transform.transformIndex
+                }
+            })
+
+            entries = entries.slice(0, insertAt).concat(added).concat(entries.slice(insertAt))
+
+            affected.forEach(function(entry) {
+                entry.type = DIFF_DELETE
+                entry.transformIndex = transform.transformIndex
+            })
+
+            // Tokens added by an earlier transformation and replaced again are intermediate: drop them
+            entries = entries.filter(function(entry) {
+                return !(entry.type == DIFF_DELETE && entry.addedBy != undefined)
+            })
+
+            added.forEach(function(entry) {
+                entry.addedBy = transform.transformIndex
+            })
+        })
+
+        // Join consecutive tokens of the same type/transformation into segments
+        return entries.reduce(function(segments, entry) {
+            const text = entry.token.value + entry.token.after
+            const last = segments[segments.length - 1]
+
+            if (last && last.type == entry.type && last.transformIndex == entry.transformIndex) {
+                last.text += text
+            } else {
+                segments.push({
+                    type: entry.type,
+                    text: text,
+                    transformIndex: entry.transformIndex,
+                    sentenceIndex: sentence.sentenceIndex
+                })
+            }
+
+            return segments
+        }, [])
+    }
+
+    /**
+     * Render the differences between the original and current text of the job (or of a single sentence).
+     *
+     * Formats:
+     *
+     *     "html"        HTML with <del>/<ins> elements (with a "data-transform-index" attribute)
+     *     "ansi"        Terminal text (deleted text in red, inserted text in green)
+     *     "unified"     Plain unified diff
+     *
+     * @param {Object} data            Result returned from submitJob
+     * @param {string} format          "html", "ansi" or "unified"
+     * @param {Object} [sentence]      Optional sentence to render (defaults to the whole job)
+     *
+     * @return {string}                The rendered diff
+     */
+    pt.renderDiff = function(data, format, sentence) {
+        const renderer = DIFF_RENDERERS[format]
+
+        if (!renderer) {
+            throw new Error("Unknown diff format: " + format)
+        }
+
+        const sentences = sentence ? [sentence] : data.rulesApplied
+        const segments = [].concat.apply([], sentences.map(pt.getDiffSegments))
+
+        return renderer(segments)
+    }
+
+    /**
+     * Get the open (clean) transformations of the job, located in the original text.
+     *
+     * Only transformations that apply directly to the original text are included: transformations that
+     * depend on another correction being accepted first (ex. "have be" -> "has been" after "hzve" -> "have")
+     * have no location in the original text.
+     *
+     * Jobs submitted with submitMarkdown/submitHtml are located in their source.
+     *
+     * @param {Object} data            Result returned from submitJob
+     *
+     * @return {Array}                 Findings: { transform, ruleId, message, isSuggestion, start, end, range, replacement }
+     */
+    pt.getFindings = function(data) {
+        if (!data.hasMeta) {
+            pt.setMetaData(data)
+        }
+
+        const lineStarts = getLineStarts(data.markup ? data.markup.source : pt.getOriginalText(data))
+        const findings = []
+
+        var sentenceOffset = 0
+
+        data.rulesApplied.forEach(function(sentence) {
+            sentence.transformations.forEach(function(transform) {
+                if (!pt.isClean(transform) || !tokensArePresent(transform.tokensAffected, sentence.originalSentence)) {
+                    return
+                }
+
+                const start = sentenceOffset + getTransformOffsetHelper(transform, sentence.originalSentence)
+                const location = locateFinding(data, start, pt.getAffectedText(transform), transform.hasReplacement ? pt.getAddedText(transform) : null)
+
+                findings.push({
+                    transform: transform,
+                    ruleId: transform.ruleId,
+                    message: transform.message || DEFAULT_FINDING_MESSAGE,
+                    isSuggestion: !!transform.isSuggestion,
+                    start: location.start,
+                    end: location.end,
+                    range: {
+                        start: offsetToPosition(lineStarts, location.start),
+                        end: offsetToPosition(lineStarts, location.end)
+                    },
+                    replacement: location.replacement
+                })
+            })
+
+            sentenceOffset += pt.getOriginalSentenceText(sentence).length
+        })
+
+        return findings
+    }
+
+    /**
+     * Get the current source of a job submitted with submitMarkdown/submitHtml: the original Markdown/HTML,
+     * rewritten with the accepted transformations (the markup around them is kept).
+     *
+     * @param {Object} data            Result returned from submitMarkdown/submitHtml
+     *
+     * @return {string}                The current source (the current text, for other jobs)
+     */
+    pt.getCurrentSourceText = function(data) {
+        if (!data.markup) {
+            return pt.getCurrentText(data)
+        }
+
+        const edits = []
+
+        var offset = 0
+
+        data.rulesApplied.forEach(function(sentence) {
+            var pending = null
+
+            function flush() {
+                if (pending) {
+                    edits.push(trimEdit(pending.start, pending.deleted, pending.inserted))
+                    pending = null
+                }
+            }
+
+            // One edit per transformation (adjacent corrections may be separated by markup)
+            pt.getDiffSegments(sentence).forEach(function(segment) {
+                if (pending && pending.transformIndex != segment.transformIndex) {
+                    flush()
+                }
+
+                if (segment.type == DIFF_EQUAL) {
+                    offset += segment.text.length
+                    return
+                }
+
+                pending = pending || {
+                    start: offset,
+                    deleted: "",
+                    inserted: "",
+                    transformIndex: segment.transformIndex
+                }
+
+                if (segment.type == DIFF_DELETE) {
+                    pending.deleted += segment.text
+                    offset += segment.text.length
+                } else {
+                    pending.inserted += segment.text
+                }
+            })
+
+            flush()
+        })
+
+        return rewriteSource(data.markup, edits.filter(function(edit) {
+            return edit.start != edit.end || edit.text
+        }))
+    }
+
+    /**
+     * Get the location of a transformation in the original Markdown/HTML source (see submitMarkdown).
+     *
+     * @param {Object} data            Result returned from submitMarkdown/submitHtml
+     * @param {Object} transform       The transformation in question
+     *
+     * @return {Object}                { start, end } offsets in the source (in the original text, for other jobs), or null
+     *                                 if the transformation depends on another one (it has no location in the original text)
+     */
+    pt.getSourceRange = function(data, transform) {
+        const sentence = pt.getSentence(data, transform.sentenceIndex)
+
+        if (!tokensArePresent(transform.tokensAffected, sentence.originalSentence)) {
+            return null
+        }
+
+        const sentenceOffset = data.rulesApplied.slice(0, transform.sentenceIndex).reduce(function(offset, s) {
+            return offset + pt.getOriginalSentenceText(s).length
+        }, 0)
+
+        const start = sentenceOffset + getTransformOffsetHelper(transform, sentence.originalSentence)
+        const end = start + pt.getAffectedText(transform).length
+
+        return {
+            start: data.markup ? toSourceOffset(data.markup, start) : start,
+            end: data.markup ? toSourceOffset(data.markup, end, true) : end
+        }
+    }
+
+    /**
+     * Export the open transformations of the job as Language Server Protocol diagnostics.
+     *
+     * @param {Object} data            Result returned from submitJob
+     *
+     * @return {Array}                 Diagnostic[] (ranges relative to the original text)
+     */
+    pt.toLspDiagnostics = function(data) {
+        return findingsToLspDiagnostics(pt.getFindings(data))
+    }
+
+    /**
+     * Export the open transformations of the job as Language Server Protocol quick-fixes.
+     *
+     * @param {Object} data            Result returned from submitJob
+     * @param {string} uri             The document uri (used in each WorkspaceEdit)
+     *
+     * @return {Array}                 CodeAction[] (one per transformation with a replacement)
+     */
+    pt.toLspCodeActions = function(data, uri) {
+        return findingsToLspCodeActions(pt.getFindings(data), uri)
+    }
+
+    /**
+     * Export the open transformations of one or more jobs as a SARIF 2.1.0 log (ex. for code scanning in CI).
+     *
+     * @param {Object|Array} files     A job result, or an array of { data, uri } (one per file, "findings" may be given instead of "data")
+     * @param {string} [uri]           The file uri, when exporting a single job result
+     *
+     * @return {Object}                SARIF log
+     */
+    pt.toSarif = function(files, uri) {
+        return findingsToSarif(toFileList(files, uri).map(function(file) {
+            return {
+                uri: file.uri,
+                findings: file.findings || pt.getFindings(file.data)
+            }
+        }), PACKAGE_VERSION)
+    }
+
+    /**
+     * Export the open transformations of one or more jobs as Checkstyle XML.
+     *
+     * @param {Object|Array} files     A job result, or an array of { data, uri } (one per file, "findings" may be given instead of "data")
+     * @param {string} [uri]           The file name, when exporting a single job result
+     *
+     * @return {string}                Checkstyle XML document
+     */
+    pt.toCheckstyle = function(files, uri) {
+        return findingsToCheckstyle(toFileList(files, uri).map(function(file) {
+            return {
+                uri: file.uri,
+                findings: file.findings || pt.getFindings(file.data)
+            }
+        }))
+    }
+
+    /**
+     * Get all available transformations in the sentence.
+     *
+     * It is assumed that the "isAvailable" field in each transformation is kept up-to-date
+     * (generally handled for you when using this API).
+     *
+     * @param {Object} sentence        The sentence in question
+     */
+    pt.getAvailableTransforms = function(sentence) {
+        return sentence.transformations.filter(transform => transform.isAvailable)
+    }
+
+
+    /*********************************************************************
+                    Private Helper Functions/Utilities
+    **********************************************************************/
+
+    /**
+     * Returns true if the tokens are a valid subsequence of the active tokens in the sentence.
+     *
+     *
+     * @param {Object} tokens       An array of token objects
+     * @param {Object} allTokens    An array of tokens to look for "tokens" in
+     *
+     * @return {boolean}            True if the tokens are a valid subsequence, else false
+     */
+    function tokensArePresent(tokens, allTokens) {
+        // The position of the first token (scanned for, or taken from the index of long arrays)
+        const start = tokens.length ? findTokenPosition(allTokens, tokens[0]) : 0
+
+        const isAvailable = start != -1 && tokens.every(function(token, position) {
+            return start + position < allTokens.length && allTokens[start + position].id === token.id
+        })
+
+        return isAvailable
+    }
+
+    /**
+     * Assign a group id to each transformation of the sentence, grouping transformations that overlap
+     * (directly or through other transformations), and fill in sentence.groups.
+     *
+     * Two transformations overlap if they affect the same token, or if one affects a token added by the other
+     * (since transformations are in the order they were made, only earlier transformations can add tokens that
+     * later ones affect). Groups are the connected components of this relation, found with a union-find over
+     * token ids, and are numbered in order of their first transformation.
+     *
+     * @param {Object} sentence        The sentence in question
+     */
+    function groupTransforms(sentence) {
+        const transforms = sentence.transformations
+        const parents = []
+
+        for (var index = 0; index < transforms.length; index++) {
+            parents.push(index)
+        }
+
+        function find(index) {
+            while (parents[index] != index) {
+                parents[index] = parents[parents[index]]
+                index = parents[index]
+            }
+
+            return index
+        }
+
+        function union(a, b) {
+            a = find(a)
+            b = find(b)
+
+            if (a != b) {
+                parents[Math.max(a, b)] = Math.min(a, b)
+            }
+        }
+
+        // For each token id: a transformation affecting it, and the transformation(s) that added it (an index, or an array of them)
+        const affectedBy = Object.create(null)
+        const addedBy = Object.create(null)
+
+        for (index = 0; index < transforms.length; index++) {
+            const affected = transforms[index].tokensAffected
+            const added = transforms[index].tokensAdded
+
+            for (var position = 0; position < affected.length; position++) {
+                const id = affected[position].id
+                const affecter = affectedBy[id]
+                const adders = addedBy[id]
+
+                if (affecter == undefined) {
+                    affectedBy[id] = index
+                } else {
+                    union(affecter, index)
+                }
+
+                if (Array.isArray(adders)) {
+                    adders.forEach(function(adder) {
+                        union(adder, index)
+                    })
+                } else if (adders != undefined) {
+                    union(adders, index)
+                }
+            }
+
+            for (position = 0; position < added.length; position++) {
+                const id = added[position].id
+                const adders = addedBy[id]
+
+                if (adders == undefined) {
+                    addedBy[id] = index
+                } else if (Array.isArray(adders)) {
+                    adders.push(index)
+                } else {
+                    addedBy[id] = [adders, index]
+                }
+            }
+        }
+
+        var groupIdCounter = 0
+
+        sentence.groups = {}
+
+        for (index = 0; index < transforms.length; index++) {
+            const transform = transforms[index]
+            const root = find(index)
+
+            // Roots are the first transformation of their group (see union), so they are numbered first
+            transform.groupId = root == index ? groupIdCounter++ : transforms[root].groupId
+
+            if (root == index) {
+                sentence.groups[transform.groupId] = []
+            }
+
+            sentence.groups[transform.groupId].push(transform)
+        }
+    }
+
+    /**
+     * Helper function to get the character offset of a transformations.
+     *
+     *
+     * @param {Object} transform           The transformation in question
+     * @param {Object} activeTokens        The array of active tokens in the sentence
+     *
+     * @return {number}                    True  character offset of the transformation, or -1 if it is not present
+     */
+    function getTransformOffsetHelper(transform, activeTokens) {
+        return getTokenOffset(activeTokens, transform.tokensAffected[0])
+    }
+
+    /**
+     * Helper to clone a hash object.
+     *
+     * @param {Object} hash        The hash to be cloned
+     *
+     * @return {Object}            A shallow copy of the hash
+     */
+    function cloneHash(hash) {
+        return Object.assign({}, hash)
+    }
+
+    /**
+     * Check if the client has been configured to persist transformation status updates.
+     *
+     *
+     * @return {boolean}        True if can persist, else false
+     */
+    function canPersist() {
+        return pt.persist
+    }
+
+    /**
+     * Save the transformation's status (clean, accepted, rejected).
+     *
+     * This is optional and can be turned off when calling "initialize".
+     *
+     * Please consider leaving this enabled, as it helps Perfect Tense learn!
+     *
+     * Updates are queued (see createUpdateQueue), so they are sent in order and retried on failure. During an
+     * editor transaction, updates to that editor's job are held back until it commits (and dropped if it is rolled back).
+     * Updates made through other editors are queued as usual.
+     *
+     *
+     * @param {Object} ptData            Result returned from submitJob
+     * @param {Object} transform         The transformation to save
+     * @param {string} apiKey            The apiKey associated with this job
+     * @param {string} sentenceText      The sentence's current text (just prior to making transformation)
+     * @param {number} offset            Offset of the transform's tokensAffected in the sentenceText
+     * @param {string} prevStatus        The transformation's status prior to this change
+     */
+    function saveTransformStatus(ptData, transform, apiKey, sentenceText, offset, prevStatus) {
+
+        // Sentences of documents merged by "submitDocument" reference the job they were submitted in
+        const sentence = ptData.rulesApplied[transform.sentenceIndex]
+        const fromChunk = sentence.sourceJobId != undefined
+
+        const data = {
+            jobId: fromChunk ? sentence.sourceJobId : ptData.id,
+            responseType: "rulesApplied",
+            sentenceIndex: fromChunk ? sentence.sourceSentenceIndex : transform.sentenceIndex,
+            transformIndex: transform.indexInSentence,
+            sentence: sentenceText,
+            offset: offset,
+            status: transform.status
+        }
+
+        const held = heldUpdates.get(ptData)
+
+        if (held) {
+            held.push({
+                payload: data,
+                apiKey: apiKey,
+                previousStatus: prevStatus
+            })
+        } else {
+            updateQueue.enqueue(data, apiKey, prevStatus)
+        }
+    }
+
+    /**
+     * Locate a finding in the original text (or in the markup source), leaving out the whitespace after its
+     * last token when it is unchanged.
+     *
+     * @param {Object} data             The job result
+     * @param {number} start            Offset of the affected text in the original text
+     * @param {string} affected         The affected text
+     * @param {string} replacement      The added text (null for comments)
+     *
+     * @return {Object}                 { start, end, replacement }
+     */
+    function locateFinding(data, start, affected, replacement) {
+        var trailing = affected.length - affected.trimEnd().length
+
+        if (replacement != null) {
+            trailing = Math.min(trailing, replacement.length - replacement.trimEnd().length)
+
+            while (trailing > 0 && affected.substring(affected.length - trailing) != replacement.substring(replacement.length - trailing)) {
+                trailing -= 1
+            }
+
+            replacement = replacement.substring(0, replacement.length - trailing)
+        }
+
+        const end = start + affected.length - trailing
+
+        if (!data.markup) {
+            return {
+                start: start,
+                end: end,
+                replacement: replacement
+            }
+        }
+
+        const sourceStart = toSourceOffset(data.markup, start)
+        const sourceEnd = toSourceOffset(data.markup, end, true)
+
+        if (replacement == null) {
+            return {
+                start: sourceStart,
+                end: sourceEnd,
+                replacement: null
+            }
+        }
+
+        // The replacement spans every source edit (keeping the markup between them)
+        const edits = getSourceEdits(data.markup, [trimEdit(start, affected.substring(0, affected.length - trailing), replacement)])
+        const from = Math.min.apply(null, [sourceStart].concat(edits.map(function(edit) {
+            return edit.start
+        })))
+        const to = Math.max.apply(null, [sourceEnd].concat(edits.map(function(edit) {
+            return edit.end
+        })))
+
+        return {
+            start: from,
+            end: to,
+            replacement: applySourceEdits(data.markup.source.substring(0, to), edits).substring(from)
+        }
+    }
+
+    /**
+     * Submit the prose extracted from a Markdown or HTML source, protecting its inline code and URLs.
+     *
+     * @param {Object} markup           The extracted text and source mapping (see extractMarkdown and extractHtml)
+     * @param {string} apiKey           The user's API key
+     * @param {Object} options          Options such as protected text. Defaults to options set during initialization
+     * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+     *
+     * @return {Object}                 Promise containing the job result, with the markup attached as "markup"
+     */
+    function submitMarkup(markup, apiKey, options, responseType) {
+        return pt.submitJob(markup.text, apiKey, withProtectedText(options || pt.options, markup.protectedText), responseType).then(function(result) {
+            result.markup = markup
+            return result
+        })
+    }
+
+    /**
+     * Submit text to the "/correct" endpoint, resolving with the raw job result (no metadata set).
+     *
+     * @param {string} text             Text to be submitted
+     * @param {string} apiKey           The user's API key
+     * @param {Object} options          Options such as protected text. Defaults to options set during initialization
+     * @param {Object} responseType     Array of response types. Defaults to responseType set during initialization
+     *
+     * @return {Object}                 Promise containing the job result (rejects with a PTError on failure)
+     */
+    function requestCorrection(text, apiKey, options, responseType) {
+        options = options || pt.options // can overwrite in individual requests, or use default
+
+        if (pt.protectText) {
+            options = withProtectedText(options, detectProtectedText(text, pt.protectText))
+        }
+
+        const data = {
+            text: text,
+            responseType: responseType || pt.responseType,
+            options: options
+        }
+
+        if (pt.verbose) {
+            console.log("Submitting job:")
+            console.log(data)
+        }
+
+        return new Promise(function(resolve, reject) {
+            submitToPT(data, apiKey, "/correct")
+                .then(function(res) {
+                    if (pt.verbose) {
+                        console.log("Received response from PT:")
+                        console.log(res.data)
+                    }
+
+                    if (res.status == 201) {
+                        resolve(res.data)
+                    } else reject(createResponseError(res, "/correct"))
+
+                }).catch(function(error) {
+                    if (pt.verbose) {
+                        console.log("Error contacting pt:")
+                        console.log(error.data || error.message)
+                    }
+
+                    reject(error)
+                })
+        })
+    }
+
+    /**
+     * Save all unsent status updates to the configured storage adapter (if any).
+     *
+     * The updates are read when the save actually runs (after any pending load), so stored updates
+     * that have not been replayed yet are never overwritten.
+     */
+    function storeUpdates() {
+        const store = pt.storage
+
+        if (!store) {
+            return
+        }
+
+        storageChain = storageChain.then(function() {
+            return store.set(PENDING_UPDATES_KEY, updateQueue.getEntries())
+        }).catch(function(error) {
+            events.emit("storageError", {
+                error: error
+            })
+        })
+    }
+
+    /**
+     * Utility to submit a payload to the Perfect Tense API
+     *
+     * Once configured, this integration's "App Key" will be inserted into all API requests.
+     *
+     * Transient failures are retried according to this client's retry policy (see "initialize"), unless another policy is given.
+     *
+     * See our API documentation for more information: https://www.perfecttense.com/docs/#introduction
+     *
+     * @param {Object} data            Payload to be submitted (see api docs: )
+     * @param {Object} apiKey           The user's apiKey to validate this request
+     * @param {string} endPoint        The API endpoint (see docs)
+     * @param {Object} [retry]         Retry policy to use instead of this client's
+     *
+     * @return {Object}                Promise containing the response (rejects with a PTError on failure)
+     */
+    function submitToPT(data, apiKey, endPoint, retry) {
+
+        const payload = {
+            method: 'POST',
+            url: pt.baseUrl + endPoint,
+            data: data,
+            headers: {
+                'Authorization': apiKey,
+                'AppAuthorization': pt.appKey,
+                'Content-Type': 'application/json'
+            }
+        }
+
+        return withRetry(function() {
+            return sendRequest(payload)
+        }, retry || pt.retry, NON_IDEMPOTENT_ENDPOINTS.indexOf(endPoint) == -1).catch(function(error) {
+            return Promise.reject(toPTError(error, endPoint))
+        })
+    }
+
+    /**
+     * Send a request through this client's configured transport.
+     *
+     * Every network call made by the client goes through here.
+     *
+     * @param {Object} payload         Request to send ({ method, url, data, headers })
+     *
+     * @return {Object}                Promise containing the response
+     */
+    function sendRequest(payload) {
+        return pt.transport(payload)
+    }
+
+    /**
+     * The the "isAvailable" status of the parameter transformations.
+     *
+     * A transformation is defined as "available" if its tokensAffected field is a valid 
+     * subsequence of the active tokens in the sentence (after any accept/reject actions).
+     *
+     * @param {Object} transforms      The transformation to be updated
+     * @param {Object} sentence        The sentence that the transformations belong to
+     */
+    function setIsAvailable(transforms, sentence) {
+
+        function setAvailable(transform) {
+            // Transformations that were already accepted/rejected are never available
+            if (pt.isClean(transform) && pt.canMakeTransform(sentence, transform)) {
+                transform.isAvailable = true
+            } else {
+                transform.isAvailable = false
+            }
+        }
+
+        transforms.forEach(setAvailable)
+    }
+
+
+    /**
+     * Utility to replace the "affected" tokens with the "added" tokens in the parameter "tokens" array.
+     *
+     * When a transformation is "accepted", we replace the "tokensAffected" with the "tokensAdded".
+     *
+     * When a transformation is "undone", we do the opposite.
+     *
+     * If "affected" is not a valid subsequence of the parameter "tokens", then no replacement can be made
+     * and the original tokens are returned.
+     *
+     * The replacement is made in a new array, unless "inPlace" is set: a sentence's active tokens are spliced
+     * (and their token index updated) rather than copied on every accept and undo.
+     *
+     *
+     * @param {Object} tokens      An array of tokens to make the replacement in
+     * @param {Object} affected    A subsequence of "tokens" to be replaced
+     * @param {Object} added       An array of tokens that will replace "affected"
+     * @param {boolean} inPlace    True to modify "tokens" (which is returned) instead of returning a new array
+     */
+    function replaceTokens(tokens, affected, added, inPlace) {
+
+        // Can't replace if they're not there!
+        if (!tokensArePresent(affected, tokens)) {
+            return tokens
+        }
+
+        // tokensArePresent guarantees the affected tokens are consecutive
+        const startInd = affected.length ? findTokenPosition(tokens, affected[0]) : -1
+        const endInd = startInd + affected.length - 1
+
+        // Sanity check. They should be there if tokensArePresent passed
+        if (startInd != -1 && endInd >= startInd) {
+            if (inPlace) {
+                const removed = tokens.splice.apply(tokens, [startInd, affected.length].concat(added))
+
+                updateTokenIndex(tokens, startInd, removed, added)
+                return tokens
+            }
+
+            const before = tokens.slice(0, startInd)
+            const after = tokens.slice(endInd + 1)
+
+            return before.concat(added).concat(after)
+        }
+
+        // Failed to replace for unknown reason
+        return tokens
+    }
+
+    /**
+     * Replace tokens in the sentence's active tokens, in place (see replaceTokens).
+     *
+     * The active tokens start out as the sentence's originalSentence, which is never modified: they are copied
+     * on the first replacement.
+     *
+     *
+     * @param {Object} sentence    The sentence in question
+     * @param {Object} affected    A subsequence of the active tokens to be replaced
+     * @param {Object} added       An array of tokens that will replace "affected"
+     */
+    function replaceActiveTokens(sentence, affected, added) {
+        if (sentence.activeTokens === sentence.originalSentence) {
+            sentence.activeTokens = copyTokens(sentence.originalSentence)
+        }
+
+        replaceTokens(sentence.activeTokens, affected, added, true)
+    }
+
+    /**
+     * Update the "isAvailable" status of every transformation in the same "group"
+     * as the parameter transform in the sentence.
+     *
+     * When a transformation is accepted, rejected, or undone, we only want to refresh
+     * the status of transformations that potentially overlap/are affected. In "setMetaData",
+     * we grouped all transformations that overlapped together, so we can just use that cache here.
+     *
+     *
+     * @param {Object} sentence        The sentence that the transformation is in
+     * @param {Object} transform       The transformation whose overlapping group will be refreshed
+     */
+    function updateTokenGroup(sentence, transform) {
+        // Cached list of all transformations that overlap
+        const tokenGroup = sentence.groups[transform.groupId]
+
+        // Set isAvailable status of all overlapping transformations
+        setIsAvailable(tokenGroup, sentence)
+    }
+
+
+    /**
+     * Utility to "make" a transformation (accept it).
+     *
+     * This involves swapping the tokensAdded in for the tokensAffected (if the transform has a replacement),
+     * and refreshing the "isAvailable" status of all tokens in the same overlapping group.
+     *
+     * Note that "canMakeTransform" should generally be called before this.
+     *
+     *
+     * @param {Object} sentence        The sentence that the transformation is in
+     * @param {Object} transform       The transformation to accept
+     */
+    function makeTransform(sentence, transform) {
+        if (transform.hasReplacement) {
+            replaceActiveTokens(sentence, transform.tokensAffected, transform.tokensAdded)
+
+            // update isAvailable status of all overlapping transformations
+            updateTokenGroup(sentence, transform)
+        }
+
+        // Explicity set, since transformations with hasReplacement = false will technically still be executable
+        transform.isAvailable = false
+    }
+
+    /**
+     * Utility to "undo" a transformation.
+     *
+     * This involves swapping the tokensAffected in for the tokensAdded (if the transform has a replacement),
+     * and refreshing the "isAvailable" status of all tokens in the same overlapping group.
+     *
+     * Note that "canUndoTransform" should generally be called before this.
+     *
+     *
+     * @param {Object} sentence        The sentence that the transformation is in
+     * @param {Object} transform       The transformation to undo
+     */
+    function undoTransform(sentence, transform) {
+
+        if (transform.hasReplacement) {
+            replaceActiveTokens(sentence, transform.tokensAdded, transform.tokensAffected)
+
+            // update isAvailable status of all overlapping transformations
+            updateTokenGroup(sentence, transform)
+        }
+
+        transform.isAvailable = true
+    }
+
+    /**
+     * Utility used during setMetaData to update the active tokens if the recovered transformation was accepted.
+     *
+     * Updates the active working set of tokens for the sentence.
+     *
+     * @param {Object} sentence        The sentence that the transformation is in
+     * @param {Object} transform       The transformation to accept
+     */
+    function updateActiveTokens(sentence, transform) {
+        if (transform.hasReplacement && pt.isAccepted(transform)) {
+            replaceActiveTokens(sentence, transform.tokensAffected, transform.tokensAdded)
+        }
+    }
+
+    if (config) {
+        pt.initialize(config)
+    }
+
+    return pt
+}
+
+// Default client (backward compatible with the original module-level API)
+module.exports = createClient()
+module.exports.createClient = createClient
+module.exports.transports = transports
+module.exports.storage = storage
+module.exports.PTError = PTError
+module.exports.PTAuthError = PTAuthError
+module.exports.PTQuotaError = PTQuotaError
+module.exports.PTValidationError = PTValidationError
+module.exports.PTNetworkError = PTNetworkError
+module.exports.PTServerError = PTServerError
@@ -0,0 +1,172 @@
+const assert = require('assert')
+const test = require('node:test')
+
+const ptClient = require('../perfecttense')
+
+const client = ptClient.createClient({
+    persist: false,
+    verbose: false
+})
+
+/*
+    "He hzve be there. Nic day."
+
+    0: hzve -> have, 1: hzve -> halve (an alternative to 0), 2: have be -> has been (depends on 0), 3: Nic -> Nice
+*/
+const RESULT = JSON.stringify({
+    id: 1,
+    grammarScore: 50,
+    rulesApplied: [{
+        originalSentence: [
+            { id: 0, value: "He", after: " " },
+            { id: 1, value: "hzve", after: " " },
+            { id: 2, value: "be", after: " " },
+            { id: 3, value: "there", after: ". " }
+        ],
+        transformations: [
+            { tokensAffected: [{ id: 1, value: "hzve", after: " " }], tokensAdded: [{ id: 4, value: "have", after: " " }], hasReplacement: true, isSuggestion: false },
+            { tokensAffected: [{ id: 1, value: "hzve", after: " " }], tokensAdded: [{ id: 5, value: "halve", after: " " }], hasReplacement: true, isSuggestion: true },
+            { tokensAffected: [{ id: 4, value: "have", after: " " }, { id: 2, value: "be", after: " " }], tokensAdded: [{ id: 6, value: "has", after: " " }, { id: 7, value: "been", after: " " }], hasReplacement: true, isSuggestion: false }
+        ]
+    }, {
+        originalSentence: [
+            { id: 0, value: "Nic", after: " " },
+            { id: 1, value: "day", after: "." }
+        ],
+        transformations: [
+            { tokensAffected: [{ id: 0, value: "Nic", after: " " }], tokensAdded: [{ id: 2, value: "Nice", after: " " }], hasReplacement: true, isSuggestion: false }
+        ]
+    }]
+})
+
+function createEditor(state) {
+    return client.interactiveEditor({
+        data: JSON.parse(RESULT),
+        apiKey: "key",
+        state: state
+    })
+}
+
+function statuses(editor) {
+    return [0, 1, 2, 3].map(function(index) {
+        return editor.getTransform(index).status
+    })
+}
+
+test("compound steps are exported and restored as single undo steps", function() {
+    const editor = createEditor()
+
+    editor.chooseAlternative(editor.getTransform(1))
+    editor.acceptCorrection(editor.getTransform(3))
+
+    const state = JSON.parse(JSON.stringify(editor.exportState()))
+
+    assert.deepStrictEqual(state.steps, [
+        [[0, "reject", "clean"], [1, "accept", "clean"]],
+        [[3, "accept", "clean"]]
+    ])
+
+    const restored = createEditor(state)
+
+    assert.strictEqual(restored.getCurrentText(), "He halve be there. Nice day.")
+
+    assert.strictEqual(restored.undoLastTransform(), true)
+    assert.strictEqual(restored.undoLastTransform(), true)
+    assert.strictEqual(restored.canUndoLastTransform(), false)
+    assert.deepStrictEqual(statuses(restored), ["clean", "clean", "clean", "clean"])
+    assert.strictEqual(restored.getCurrentText(), "He hzve be there. Nic day.")
+})
+
+test("version 1 states are restored with one undo step per decision", function() {
+    const restored = createEditor({
+        version: 1,
+        jobId: 1,
+        numTransformations: 4,
+        decisions: [[0, "accept"], [3, "reject"]]
+    })
+
+    assert.strictEqual(restored.getCurrentText(), "He have be there. Nic day.")
+
+    restored.undoLastTransform()
+
+    assert.deepStrictEqual(statuses(restored), ["accept", "clean", "clean", "clean"])
+})
+
+test("undone steps can still be redone after a restore", function() {
+    const editor = createEditor()
+
+    editor.acceptCorrection(editor.getTransform(0))
+    editor.undoLastTransform()
+
+    const restored = createEditor(JSON.parse(JSON.stringify(editor.exportState())))
+
+    assert.strictEqual(restored.canRedo(), true)
+    assert.strictEqual(restored.redo(), true)
+    assert.strictEqual(restored.getCurrentText(), "He have be there. Nic day.")
+})
+
+test("a transformation and its prerequisites are undone as one step", function() {
+    const editor = createEditor()
+
+    assert.strictEqual(editor.acceptWithPrerequisites(editor.getTransform(2)), true)
+    assert.strictEqual(editor.getCurrentText(), "He has been there. Nic day.")
+
+    editor.undoLastTransform()
+
+    assert.strictEqual(editor.getCurrentText(), "He hzve be there. Nic day.")
+    assert.strictEqual(editor.canUndoLastTransform(), false)
+})
+
+test("scoped bulk operations are undone as one step", function() {
+    const editor = createEditor()
+
+    editor.rejectCorrection(editor.getTransform(1))
+
+    const accepted = editor.acceptWhere({ isSuggestion: false })
+
+    assert.deepStrictEqual(accepted.map(function(transform) {
+        return transform.transformIndex
+    }), [0, 2, 3])
+    assert.strictEqual(editor.getCurrentText(), "He has been there. Nice day.")
+
+    editor.undoLastTransform()
+
+    assert.deepStrictEqual(statuses(editor), ["clean", "reject", "clean", "clean"])
+})
+
+test("a failed transaction rolls back every change it made", function() {
+    const editor = createEditor()
+
+    assert.throws(function() {
+        editor.transaction(function() {
+            editor.acceptCorrection(editor.getTransform(0))
+            editor.acceptCorrection(editor.getTransform(3))
+            throw new Error("cancelled")
+        })
+    }, /cancelled/)
+
+    assert.deepStrictEqual(statuses(editor), ["clean", "clean", "clean", "clean"])
+    assert.strictEqual(editor.getCurrentText(), "He hzve be there. Nic day.")
+    assert.strictEqual(editor.canUndoLastTransform(), false)
+})
+
+test("a review cursor keeps its place as the text before it changes", function() {
+    const editor = createEditor()
+    const cursor = editor.createCursor()
+
+    editor.acceptCorrection(editor.getTransform(0))
+
+    assert.strictEqual(cursor.seekToSentence(1).transformIndex, 3)
+
+    editor.acceptCorrection(editor.getTransform(2))
+
+    assert.strictEqual(cursor.current().transformIndex, 3)
+    assert.strictEqual(cursor.next(), null)
+
+    editor.undoLastTransform()
+
+    assert.strictEqual(cursor.prev().transformIndex, 2)
+    assert.strictEqual(cursor.next().transformIndex, 3)
+
+    cursor.close()
+})
@@ -0,0 +1,114 @@
+const assert = require('assert')
+const test = require('node:test')
+
+const ptClient = require('../perfecttense')
+
+// "hzve a nic dya." with a correction for each misspelled word
+const RESULT = JSON.stringify({
+    id: 1,
+    grammarScore: 50,
+    rulesApplied: [{
+        originalSentence: [
+            { id: 0, value: "hzve", after: " " },
+            { id: 1, value: "a", after: " " },
+            { id: 2, value: "nic", after: " " },
+            { id: 3, value: "dya", after: "." }
+        ],
+        transformations: [
+            { tokensAffected: [{ id: 0, value: "hzve", after: " " }], tokensAdded: [{ id: 4, value: "have", after: " " }], hasReplacement: true, isSuggestion: false },
+            { tokensAffected: [{ id: 2, value: "nic", after: " " }], tokensAdded: [{ id: 5, value: "nice", after: " " }], hasReplacement: true, isSuggestion: false },
+            { tokensAffected: [{ id: 3, value: "dya", after: "." }], tokensAdded: [{ id: 6, value: "day", after: "." }], hasReplacement: true, isSuggestion: false }
+        ]
+    }]
+})
+
+// A client sending status updates to "respond" ({ status }), and the updates it received
+function createRecordingClient(respond) {
+    const sent = []
+
+    const client = ptClient.createClient({
+        persist: true,
+        verbose: false,
+        retry: { minDelay: 1, maxDelay: 2 },
+        transport: ptClient.transports.memory(function(request) {
+            sent.push(request.data)
+            return respond(request)
+        })
+    })
+
+    return { client: client, sent: sent }
+}
+
+test("a rolled back transaction keeps the updates made through other editors", async function() {
+    const recording = createRecordingClient(function() {
+        return { status: 200 }
+    })
+
+    const editor = recording.client.interactiveEditor({ data: JSON.parse(RESULT), apiKey: "key" })
+    const other = recording.client.interactiveEditor({ data: Object.assign(JSON.parse(RESULT), { id: 2 }), apiKey: "key" })
+
+    const committed = editor.transaction(function() {
+        editor.acceptCorrection(editor.getTransform(0))
+        other.acceptCorrection(other.getTransform(1))
+        return false
+    })
+
+    await recording.client.flush()
+
+    assert.strictEqual(committed, false)
+    assert.strictEqual(editor.getTransform(0).status, "clean")
+    assert.deepStrictEqual(recording.sent.map(function(update) {
+        return [update.jobId, update.transformIndex, update.status]
+    }), [[2, 1, "accept"]])
+})
+
+test("a failed nested transaction only drops its own updates", async function() {
+    const recording = createRecordingClient(function() {
+        return { status: 200 }
+    })
+
+    const editor = recording.client.interactiveEditor({ data: JSON.parse(RESULT), apiKey: "key" })
+
+    assert.strictEqual(editor.transaction(function() {
+        editor.acceptCorrection(editor.getTransform(0))
+        editor.transaction(function() {
+            editor.acceptCorrection(editor.getTransform(1))
+            return false
+        })
+    }), true)
+
+    await recording.client.flush()
+
+    assert.deepStrictEqual(recording.sent.map(function(update) {
+        return update.transformIndex
+    }), [0])
+})
+
+test("updates keep being sent when an updateSent or updateFailed handler throws", async function() {
+    var failing = true
+
+    const recording = createRecordingClient(function() {
+        return { status: failing ? 503 : 200 }
+    })
+
+    recording.client.on("updateFailed", function() {
+        throw new Error("handler error")
+    })
+    recording.client.on("updateSent", function() {
+        throw new Error("handler error")
+    })
+
+    const editor = recording.client.interactiveEditor({ data: JSON.parse(RESULT), apiKey: "key" })
+
+    editor.acceptCorrection(editor.getTransform(0))
+    await recording.client.flush()
+
+    failing = false
+    editor.acceptCorrection(editor.getTransform(1))
+    editor.acceptCorrection(editor.getTransform(2))
+    await recording.client.flush()
+
+    assert.deepStrictEqual(recording.sent.map(function(update) {
+        return update.transformIndex
+    }), [0, 0, 0, 1, 2])
+})